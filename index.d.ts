@@ -7,9 +7,17 @@ declare module "moleculer-telnet" {
    * the name of the command and the values are the command codes.
    */
   interface ICOMMANDS {
+    EOR: 239;
     SE: 240;
     NOP: 241;
+    DM: 242;
+    BRK: 243;
+    IP: 244;
+    AO: 245;
     AYT: 246;
+    EC: 247;
+    EL: 248;
+    GA: 249;
     SB: 250;
     WILL: 251;
     WONT: 252;
@@ -23,6 +31,8 @@ declare module "moleculer-telnet" {
     REQUEST: 1;
     SPACE: 32;
     ACCEPTED: 2;
+    TTABLE_IS: 4;
+    TTABLE_REJECTED: 5;
   }
 
   export const COMMANDS: ICOMMANDS;
@@ -34,13 +44,334 @@ declare module "moleculer-telnet" {
   interface IOPTIONS {
     ECHO: 1;
     SUPPRESS_GO_AHEAD: 3;
+    TIMING_MARK: 6;
     NAWS: 31;
     CHARSET: 42;
     TTYPE: 24;
+    EOR: 25;
+    LINEMODE: 34;
+    NEW_ENVIRON: 39;
+    MSDP: 69;
+    MSSP: 70;
+    MCCP2: 86;
+    MCCP3: 87;
+    MXP: 91;
+    GMCP: 201;
   }
 
   export const OPTIONS: IOPTIONS;
 
+  /**
+   * The MTTS object is a map of the bits of the MTTS bitvector a client reports with the TTYPE option.
+   */
+  interface IMTTS {
+    ANSI: 1;
+    VT100: 2;
+    UTF8: 4;
+    COLORS_256: 8;
+    MOUSE_TRACKING: 16;
+    OSC_COLOR_PALETTE: 32;
+    SCREEN_READER: 64;
+    PROXY: 128;
+    TRUECOLOR: 256;
+    MNES: 512;
+    MSLP: 1024;
+    SSL: 2048;
+  }
+
+  export const MTTS: IMTTS;
+
+  /**
+   * The capabilities of a client's terminal, decoded from the MTTS bitvector.
+   */
+  export interface ITerminalCapabilities {
+    ansi: boolean;
+    vt100: boolean;
+    utf8: boolean;
+    colors256: boolean;
+    mouseTracking: boolean;
+    oscColorPalette: boolean;
+    screenReader: boolean;
+    proxy: boolean;
+    truecolor: boolean;
+    mnes: boolean;
+    mslp: boolean;
+    ssl: boolean;
+  }
+
+  /**
+   * Decodes an MTTS bitvector into the capabilities of the client's terminal.
+   * @param mtts the MTTS bitvector.
+   */
+  export function decodeMTTS(mtts: number): ITerminalCapabilities;
+
+  /**
+   * The LINEMODE object is a map of the suboptions and mode bits used in LINEMODE subnegotiations.
+   */
+  interface ILINEMODE {
+    MODE: 1;
+    FORWARDMASK: 2;
+    SLC: 3;
+    EDIT: 1;
+    TRAPSIG: 2;
+    MODE_ACK: 4;
+    SOFT_TAB: 8;
+    LIT_ECHO: 16;
+  }
+
+  export const LINEMODE: ILINEMODE;
+
+  /**
+   * The SLC object is a map of the functions, support levels and flags of the LINEMODE SLC suboption.
+   */
+  interface ISLC {
+    SYNCH: 1;
+    BRK: 2;
+    IP: 3;
+    AO: 4;
+    AYT: 5;
+    EOR: 6;
+    ABORT: 7;
+    EOF: 8;
+    SUSP: 9;
+    EC: 10;
+    EL: 11;
+    EW: 12;
+    RP: 13;
+    LNEXT: 14;
+    XON: 15;
+    XOFF: 16;
+    FORW1: 17;
+    FORW2: 18;
+    NOSUPPORT: 0;
+    CANTCHANGE: 1;
+    VALUE: 2;
+    DEFAULT: 3;
+    LEVELBITS: 3;
+    FLUSHOUT: 32;
+    FLUSHIN: 64;
+    ACK: 128;
+  }
+
+  export const SLC: ISLC;
+
+  /**
+   * The ENVIRON object is a map of the type codes used in NEW-ENVIRON subnegotiations.
+   */
+  interface IENVIRON {
+    VAR: 0;
+    VALUE: 1;
+    ESC: 2;
+    USERVAR: 3;
+  }
+
+  export const ENVIRON: IENVIRON;
+
+  /**
+   * An environment variable reported by the client with NEW-ENVIRON.
+   */
+  export interface IEnvironVariable {
+    type: "var" | "uservar";
+    name: string;
+    /**
+     * The value of the variable, `null` if the client does not define it.
+     */
+    value: string | null;
+  }
+
+  /**
+   * Decodes the variables of a NEW-ENVIRON `IS` or `INFO` subnegotiation.
+   * @param data the unescaped payload following the `IS` or `INFO` byte.
+   */
+  export function decodeEnviron(
+    data: Array<number> | Buffer
+  ): Array<IEnvironVariable>;
+
+  /**
+   * The MSDP object is a map of the type codes used in MSDP subnegotiations.
+   */
+  interface IMSDP {
+    VAR: 1;
+    VAL: 2;
+    TABLE_OPEN: 3;
+    TABLE_CLOSE: 4;
+    ARRAY_OPEN: 5;
+    ARRAY_CLOSE: 6;
+  }
+
+  export const MSDP: IMSDP;
+
+  /**
+   * Encodes MSDP variables into the payload of an MSDP subnegotiation. Arrays are encoded as MSDP arrays and objects as
+   * MSDP tables.
+   * @param variables the variables, keyed by name.
+   */
+  export function encodeMSDP(variables: Record<string, any>): Array<number>;
+
+  /**
+   * Decodes the payload of an MSDP subnegotiation. A variable with several values is decoded into an array.
+   * @param data the unescaped payload of the subnegotiation.
+   */
+  export function decodeMSDP(data: Array<number> | Buffer): Record<string, any>;
+
+  /**
+   * An MSDP variable clients can REPORT or SEND.
+   */
+  export interface IMsdpVariable {
+    /**
+     * Whether clients can subscribe to the variable with REPORT. Defaults to `true`
+     */
+    reportable?: boolean;
+
+    /**
+     * Whether clients can request the variable with SEND. Defaults to `true`
+     */
+    sendable?: boolean;
+
+    /**
+     * The current value of the variable for all connections.
+     */
+    value?: any;
+  }
+
+  /**
+   * The MXP object is a map of the MXP line modes.
+   */
+  interface IMXP {
+    OPEN: 0;
+    SECURE: 1;
+    LOCKED: 2;
+    RESET: 3;
+    TEMP_SECURE: 4;
+    LOCK_OPEN: 5;
+    LOCK_SECURE: 6;
+    LOCK_LOCKED: 7;
+  }
+
+  export const MXP: IMXP;
+
+  /**
+   * Returns the escape sequence that switches an MXP client to a line mode.
+   * @param mode the name of the mode or its number.
+   */
+  export function encodeMXPMode(mode: keyof IMXP | string | number): string;
+
+  /**
+   * Escapes `<`, `>`, `&` and `"` with their MXP entities.
+   * @param text the text to escape.
+   */
+  export function escapeMXP(text: string): string;
+
+  /**
+   * Encodes an MXP element. Attribute values are escaped, the content is not.
+   * @param name the name of the element.
+   * @param attributes the attributes of the element.
+   * @param content the content of the element, the element is not closed if not set.
+   */
+  export function encodeMXPElement(
+    name: string,
+    attributes?: Record<string, string | number | null | undefined>,
+    content?: string
+  ): string;
+
+  /**
+   * Encodes an MXP `<send>` element, a menu if `commands` is an array.
+   * @param text the text to show.
+   * @param commands the command, or the commands of the menu.
+   * @param hint the tooltip, or the tooltip and the labels of the menu.
+   */
+  export function encodeMXPSend(
+    text: string,
+    commands: string | Array<string>,
+    hint?: string | Array<string>
+  ): string;
+
+  /**
+   * Encodes an MXP `<a>` element.
+   * @param text the text to show.
+   * @param href the URL.
+   * @param hint the tooltip.
+   */
+  export function encodeMXPLink(
+    text: string,
+    href: string,
+    hint?: string
+  ): string;
+
+  /**
+   * Strips MXP markup and decodes the entities for clients that do not support MXP.
+   * @param text the text containing MXP markup.
+   */
+  export function stripMXP(text: string): string;
+
+  /**
+   * The color depth markup is rendered in.
+   */
+  export type TColorDepth = "truecolor" | "256" | "16" | "none";
+
+  /**
+   * Detects the color depth of a terminal, or returns null if the client did not report a terminal type.
+   * @param ttypes the terminal types the client reported.
+   * @param mtts the MTTS bitvector, `0` if the client did not report one.
+   */
+  export function detectColorDepth(
+    ttypes: Array<string>,
+    mtts?: number
+  ): TColorDepth | null;
+
+  /**
+   * Renders color and style markup, such as `{red}`, `{bg:blue}`, `{#ff8800}`, `{bold}` and `{reset}`, into ANSI escape
+   * sequences for a terminal of the given color depth.
+   * @param text the text containing markup.
+   * @param depth the color depth. Defaults to `truecolor`
+   */
+  export function renderMarkup(text: string, depth?: TColorDepth): string;
+
+  /**
+   * The MSSP object is a map of the type codes used in MSSP subnegotiations.
+   */
+  interface IMSSP {
+    VAR: 1;
+    VAL: 2;
+  }
+
+  export const MSSP: IMSSP;
+
+  /**
+   * The value of an MSSP variable. Arrays are sent as multiple values, booleans as `1` or `0`.
+   */
+  export type TMsspValue =
+    | string
+    | number
+    | boolean
+    | Array<string | number | boolean>;
+
+  /**
+   * Encodes MSSP variables into the payload of an MSSP subnegotiation.
+   * @param variables the variables, keyed by name.
+   */
+  export function encodeMSSP(
+    variables: Record<string, TMsspValue | null | undefined>
+  ): Array<number>;
+
+  /**
+   * Encodes a telnet sequence in dot notation, for example `IAC.SB.TTYPE.IS.120.116.IAC.SE`.
+   * @param sequence the telnet sequence.
+   */
+  export function encodeDotNotation(sequence: Array<number> | Buffer): string;
+
+  /**
+   * Decodes a telnet sequence in dot notation, throwing an error if it contains unknown names.
+   * @param notation the sequence in dot notation.
+   */
+  export function decodeDotNotation(notation: string): Array<number>;
+
+  /**
+   * What the server does with one side of an option: ask for it when the client connects, accept it if the client asks
+   * for it, or decline it.
+   */
+  export type TelnetOptionPolicy = "request" | "allow" | "refuse";
+
   /**
    * The Moleculer Telnet service settings.
    */
@@ -51,9 +382,158 @@ declare module "moleculer-telnet" {
     ttype?: boolean;
 
     /**
-     * Enable the CHARSET telnet option. Defaults to `null`
+     * The charsets offered with the CHARSET telnet option, in order of preference. Defaults to `null`
+     */
+    charset?: string | Array<string>;
+
+    /**
+     * Enable the NAWS telnet option. Defaults to `null`
+     */
+    naws?: boolean;
+
+    /**
+     * Offer the SUPPRESS-GO-AHEAD telnet option. Defaults to `null`
+     */
+    sga?: boolean;
+
+    /**
+     * Offer the EOR telnet option to mark prompts. Defaults to `null`
+     */
+    eor?: boolean;
+
+    /**
+     * Offer the GMCP telnet option. Defaults to `null`
+     */
+    gmcp?: boolean;
+
+    /**
+     * Offer MSSP, replying with these variables, such as `NAME` or `CODEBASE`, when the client asks. Defaults to `null`
+     */
+    mssp?: boolean | Record<string, TMsspValue>;
+
+    /**
+     * The action called with the `id` of the connection for the live MSSP variables, such as `PLAYERS`. Defaults to
+     * `null`
+     */
+    msspAction?: string;
+
+    /**
+     * Offer MSDP. Defaults to `null`
+     */
+    msdp?: boolean;
+
+    /**
+     * Offer MXP. Defaults to `null`
+     */
+    mxp?: boolean;
+
+    /**
+     * The color depth markup is rendered in for clients that did not report a terminal type. Defaults to `16`
+     */
+    defaultColorDepth?: TColorDepth;
+
+    /**
+     * The MSDP variables clients can REPORT or SEND, keyed by name. Defaults to `{}`
+     */
+    msdpVariables?: Record<string, IMsdpVariable>;
+
+    /**
+     * Negotiate LINEMODE. `true` hands line editing to the client, an object sets the initial modes. Defaults to `null`
+     */
+    linemode?: boolean | { edit?: boolean; trapsig?: boolean };
+
+    /**
+     * The environment variables to request with NEW-ENVIRON. `true` requests `USER`, `LANG`, `IPADDRESS` and
+     * `SYSTEMTYPE`. Defaults to `null`
+     */
+    environ?: boolean | Array<string>;
+
+    /**
+     * Offer to compress the output with MCCP2. Defaults to `null`
+     */
+    mccp2?: boolean;
+
+    /**
+     * Offer to accept compressed input with MCCP3. Defaults to `null`
+     */
+    mccp3?: boolean;
+
+    /**
+     * Assemble the client's input into lines passed to the `onTelnetLine` action. Defaults to `null`
+     */
+    lineBuffering?: boolean;
+
+    /**
+     * The maximum length of a line in bytes. Defaults to `1024`
+     */
+    maxLineLength?: number;
+
+    /**
+     * The text sent in reply to AYT, nothing is sent if not set. Defaults to `[Yes]`
+     */
+    aytReply?: string;
+
+    /**
+     * How often to probe connections in milliseconds, probing is disabled if not set. Defaults to `null`
      */
-    charset?: boolean;
+    keepaliveInterval?: number;
+
+    /**
+     * How long a client has to answer a probe in milliseconds before it is closed. Defaults to `30000`
+     */
+    keepaliveTimeout?: number;
+
+    /**
+     * How to probe connections, `DO TIMING-MARK` or `IAC NOP`. Defaults to `timingMark`
+     */
+    keepaliveMethod?: "timingMark" | "nop";
+
+    /**
+     * The negotiation policy of every option, keyed by option name or code. The option settings such as `ttype` or
+     * `gmcp` request their option, this setting takes precedence over them. Defaults to `null`
+     */
+    telnetOptions?: {
+      [option: string]: {
+        local?: TelnetOptionPolicy;
+        remote?: TelnetOptionPolicy;
+      };
+    };
+
+    /**
+     * How long to wait for the client to answer the initial negotiations in milliseconds. Defaults to `5000`
+     */
+    negotiationTimeout?: number;
+
+    /**
+     * How long the handlers of a telnet sequence may take in milliseconds before the next sequence is handled. Defaults
+     * to `5000`
+     */
+    handlerTimeout?: number;
+
+    /**
+     * The maximum length of a subnegotiation payload in bytes. Defaults to `16384`
+     */
+    maxSubnegotiationLength?: number;
+
+    /**
+     * The maximum number of times a client may negotiate each option per minute. Defaults to `20`
+     */
+    maxRenegotiations?: number;
+
+    /**
+     * The maximum number of bytes a client may send per second, unlimited if not set. Defaults to `null`
+     */
+    maxInputRate?: number;
+
+    /**
+     * What to do when a client breaks one of the abuse limits, per rule.
+     */
+    abuseActions?: Partial<Record<TTelnetAbuseRule, TTelnetAbuseAction>>;
+
+    /**
+     * Broadcast every telnet sequence a client sends as a `telnet.negotiation.<sequence>` event. Defaults to `null`
+     */
+    broadcastTelnetNegotiations?: boolean;
   }
 
   /**
@@ -61,6 +541,16 @@ declare module "moleculer-telnet" {
    * for sending the appropriate Telnet commands to the client in response to the client's Telnet commands.
    */
   export class TelnetOptionHandler {
+    /**
+     * The default priority of the handler. Matching handlers with a higher priority are called first. Defaults to `0`
+     */
+    static priority: number;
+
+    /**
+     * Returned from `handle` to keep the sequence from the handlers after this one.
+     */
+    static readonly CONSUMED: unique symbol;
+
     /**
      * Returns true if this class handles the specified Telnet option.
      * @param sequence the sequence of Telnet commands that were received from the client.
@@ -73,9 +563,456 @@ declare module "moleculer-telnet" {
      * @param service the Moleculer Telnet service.
      * @param sequence the sequence of Telnet commands that were received from the client.
      */
-    async handle(id: string, service: Service, sequence: Buffer): Promise<void>;
+    async handle(
+      id: string,
+      service: Service,
+      sequence: Buffer
+    ): Promise<void | typeof TelnetOptionHandler.CONSUMED>;
   }
 
+  /**
+   * A handler declared in the `telnetOptionHandlers` key of the service schema.
+   */
+  export type TTelnetOptionHandlerDeclaration =
+    | typeof TelnetOptionHandler
+    | { handler: typeof TelnetOptionHandler; priority?: number };
+
+  /**
+   * The abuse limits a client can break.
+   */
+  export type TTelnetAbuseRule =
+    | "subnegotiationLength"
+    | "renegotiation"
+    | "inputRate"
+    | "lineLength";
+
+  /**
+   * What to do when a client breaks an abuse limit. `throttle` delays the input of the client for the `inputRate` and
+   * `renegotiation` rules and drops it for the others.
+   */
+  export type TTelnetAbuseAction = "drop" | "throttle" | "disconnect";
+
+  /**
+   * A token returned by the `TelnetStreamParser`. Data tokens carry the unescaped data the client sent, command tokens
+   * carry a telnet command exactly as it was sent on the wire, overflow tokens the start of a subnegotiation that was
+   * discarded because it was too long.
+   */
+  export type TTelnetToken =
+    | { type: "data"; data: Buffer }
+    | { type: "command"; sequence: Array<number> }
+    | { type: "overflow"; sequence: Array<number> };
+
+  /**
+   * The TelnetStreamParser separates client data from the telnet commands embedded in it. It keeps its state between
+   * calls, so commands split across packets are reassembled.
+   */
+  export class TelnetStreamParser {
+    /**
+     * @param options.maxSubnegotiationLength the maximum length of a subnegotiation payload in bytes, unlimited if not set.
+     */
+    constructor(options?: { maxSubnegotiationLength?: number });
+
+    /**
+     * Parses a chunk of data received from the client and returns the tokens found in it in the order they were received.
+     * @param chunk the data received from the client.
+     */
+    parse(chunk: Buffer): Array<TTelnetToken>;
+  }
+
+  /**
+   * The negotiation state of one side of an option.
+   */
+  export type TTelnetOptionSideState = "NO" | "YES" | "WANTNO" | "WANTYES";
+
+  /**
+   * The negotiation state of an option. The `local` side covers what the server performs, the `remote` side what the
+   * client performs.
+   */
+  export interface ITelnetOptionState {
+    local: TTelnetOptionSideState;
+    localQueue: "EMPTY" | "OPPOSITE";
+    remote: TTelnetOptionSideState;
+    remoteQueue: "EMPTY" | "OPPOSITE";
+  }
+
+  /**
+   * The TelnetOptionNegotiator implements the RFC 1143 Q method of option negotiation for a single connection.
+   */
+  export class TelnetOptionNegotiator {
+    /**
+     * Returns the state of an option.
+     * @param option the option.
+     */
+    getState(option: number): ITelnetOptionState;
+
+    /**
+     * Returns true if the option is enabled on the given side of the connection.
+     * @param option the option.
+     * @param side the side of the connection.
+     */
+    isEnabled(option: number, side: "local" | "remote"): boolean;
+
+    /**
+     * Returns true if a request to enable or disable the option has not been answered yet, on either side.
+     * @param option the option.
+     */
+    isPending(option: number): boolean;
+
+    /**
+     * Requests that an option be enabled, returning the command to send or `null` if nothing has to be sent.
+     * @param option the option.
+     * @param side the side of the connection.
+     */
+    requestEnable(option: number, side: "local" | "remote"): number | null;
+
+    /**
+     * Requests that an option be disabled, returning the command to send or `null` if nothing has to be sent.
+     * @param option the option.
+     * @param side the side of the connection.
+     */
+    requestDisable(option: number, side: "local" | "remote"): number | null;
+
+    /**
+     * Processes a WILL, WONT, DO or DONT command received from the client.
+     * @param command the command received.
+     * @param option the option.
+     * @param accept whether to agree to enable the option.
+     */
+    receive(
+      command: number,
+      option: number,
+      accept: boolean
+    ): { reply: number | null; changed: boolean; error: string | null };
+  }
+
+  /**
+   * The TelnetLineBuffer assembles the data a client sends into complete lines.
+   */
+  export class TelnetLineBuffer {
+    /**
+     * @param maxLength the maximum length of a line in bytes.
+     */
+    constructor(maxLength?: number);
+
+    /**
+     * Set when characters beyond `maxLength` were dropped, until it is reset.
+     */
+    truncated: boolean;
+
+    /**
+     * Adds data received from the client to the buffer, returning the lines it completed.
+     * @param data the data received from the client.
+     */
+    push(data: Buffer): Array<Buffer>;
+
+    /**
+     * Erases the last character of the current line.
+     */
+    eraseCharacter(): void;
+
+    /**
+     * Erases the current line.
+     */
+    eraseLine(): void;
+  }
+
+  /**
+   * The TelnetCompressionStream wraps a zlib stream used for MCCP, flushing every write.
+   */
+  export class TelnetCompressionStream {
+    /**
+     * Creates a stream compressing data.
+     */
+    static deflate(): TelnetCompressionStream;
+
+    /**
+     * Creates a stream decompressing data.
+     */
+    static inflate(): TelnetCompressionStream;
+
+    /**
+     * The number of bytes written to the stream.
+     */
+    bytesIn: number;
+
+    /**
+     * The number of bytes the stream produced.
+     */
+    bytesOut: number;
+
+    /**
+     * True once the compressed stream has ended.
+     */
+    ended: boolean;
+
+    /**
+     * Writes data to the stream. `rest` holds any data written after the end of the compressed stream.
+     * @param data the data to write.
+     */
+    write(data: Buffer): Promise<{ data: Buffer; rest: Buffer | null }>;
+
+    /**
+     * Ends the compressed stream with the next write.
+     */
+    end(): void;
+
+    /**
+     * Closes the stream, discarding any buffered data.
+     */
+    close(): void;
+  }
+
+  /**
+   * Returns the name of the encoding used for a negotiated charset name, one of `utf8`, `latin1`, `ascii` or `cp437`.
+   * @param charset the charset name.
+   */
+  export function normalizeCharset(
+    charset: string
+  ): "utf8" | "latin1" | "ascii" | "cp437";
+
+  /**
+   * Encodes text in a charset, replacing characters that can not be represented with `?`.
+   * @param text the text to encode.
+   * @param charset the charset name.
+   */
+  export function encodeText(text: string, charset: string): Buffer;
+
+  /**
+   * The TelnetTextDecoder decodes the data a client sends using a charset, keeping incomplete characters between calls.
+   */
+  export class TelnetTextDecoder {
+    /**
+     * @param charset the charset name.
+     */
+    constructor(charset: string);
+
+    /**
+     * Decodes data received from the client.
+     * @param data the data received from the client.
+     */
+    write(data: Buffer): string;
+  }
+
+  /**
+   * The parameters for the `sendText` action.
+   */
+  export interface ISendTextActionParams {
+    /**
+     * The ID of the Telnet connection.
+     */
+    id: string;
+
+    /**
+     * The text to send.
+     */
+    text: string;
+  }
+
+  /**
+   * The parameters for the `extractSubData` action.
+   */
+  export interface IExtractSubDataActionParams {
+    /**
+     * The subnegotiation in dot notation, for example `IAC.SB.TTYPE.IS.120.116.IAC.SE`.
+     */
+    data: string;
+
+    /**
+     * The encoding the payload is decoded with. Defaults to `latin1`
+     */
+    encoding?: BufferEncoding;
+  }
+
+  /**
+   * The parameters for the `sendPrompt` action.
+   */
+  export interface ISendPromptActionParams {
+    /**
+     * The ID of the Telnet connection.
+     */
+    id: string;
+
+    /**
+     * The prompt to send.
+     */
+    text: string;
+  }
+
+  /**
+   * The parameters for the `sendGmcp` action.
+   */
+  export interface ISendGmcpActionParams {
+    /**
+     * The ID of the Telnet connection.
+     */
+    id: string;
+
+    /**
+     * The GMCP package and message name, for example `Char.Vitals`.
+     */
+    package: string;
+
+    /**
+     * The data to send, serialized as JSON.
+     */
+    data?: any;
+  }
+
+  /**
+   * The parameters for the `sendMsdp` action.
+   */
+  export interface ISendMsdpActionParams {
+    /**
+     * The ID of the Telnet connection.
+     */
+    id: string;
+
+    /**
+     * The variables to send, keyed by name. Arrays are sent as MSDP arrays and objects as MSDP tables.
+     */
+    variables: Record<string, any>;
+  }
+
+  /**
+   * The parameters for the `sendMarkup` action.
+   */
+  export interface ISendMarkupActionParams {
+    /**
+     * The ID of the Telnet connection.
+     */
+    id: string;
+
+    /**
+     * The text to send, containing color and style markup.
+     */
+    text: string;
+  }
+
+  /**
+   * The parameters for the `sendMxp` action.
+   */
+  export interface ISendMxpActionParams {
+    /**
+     * The ID of the Telnet connection.
+     */
+    id: string;
+
+    /**
+     * The text to send, containing MXP markup.
+     */
+    text: string;
+
+    /**
+     * The line mode every line is sent in. Defaults to `secure`
+     */
+    mode?: "open" | "secure" | "locked";
+  }
+
+  /**
+   * The parameters for the `registerMsdpVariable` action.
+   */
+  export interface IRegisterMsdpVariableActionParams extends IMsdpVariable {
+    /**
+     * The name of the variable.
+     */
+    name: string;
+  }
+
+  /**
+   * The parameters for the `reportMsdpVariable` action.
+   */
+  export interface IReportMsdpVariableActionParams {
+    /**
+     * The ID of a single Telnet connection to report the value to, all connections if not set.
+     */
+    id?: string;
+
+    /**
+     * The name of the variable.
+     */
+    name: string;
+
+    /**
+     * The new value of the variable.
+     */
+    value: any;
+  }
+
+  /**
+   * The parameters for the `setLineMode` action.
+   */
+  export interface ISetLineModeActionParams {
+    /**
+     * The ID of the Telnet connection.
+     */
+    id: string;
+
+    /**
+     * Whether the client edits lines locally, `false` for character at a time mode.
+     */
+    edit: boolean;
+
+    /**
+     * Whether the client translates interrupt characters into telnet commands. Defaults to `false`
+     */
+    trapsig?: boolean;
+
+    /**
+     * The characters the client should send a partial line on.
+     */
+    forwardMask?: Array<number>;
+  }
+
+  /**
+   * The parameters for the `onTelnetLine` action.
+   */
+  export interface IOnTelnetLineActionParams {
+    /**
+     * The ID of the Telnet connection.
+     */
+    id: string;
+
+    /**
+     * The line the client entered, without the line ending.
+     */
+    line: string;
+  }
+
+  /**
+   * The parameters for the `registerTelnetOptionHandler` action.
+   */
+  export interface IRegisterTelnetOptionHandlerActionParams {
+    /**
+     * The handler class to register.
+     */
+    handler: typeof TelnetOptionHandler;
+
+    /**
+     * The priority of the handler. Defaults to the `priority` of the handler class.
+     */
+    priority?: number;
+  }
+
+  /**
+   * The parameters for the `unregisterTelnetOptionHandler` action.
+   */
+  export interface IUnregisterTelnetOptionHandlerActionParams {
+    /**
+     * The handler class or its name.
+     */
+    handler: typeof TelnetOptionHandler | string;
+  }
+
+  /**
+   * Extracts the telnet commands from a single chunk of data.
+   * @param data the data to extract the commands from.
+   * @param options.maxSubnegotiationLength the maximum length of a subnegotiation payload in bytes.
+   */
+  export function extractTelnetCommands(
+    data: Buffer | string,
+    options?: { maxSubnegotiationLength?: number }
+  ): Array<Array<number>>;
+
   /**
    * The parameters used for the Telnet connection callbacks.
    */
@@ -1,10 +1,20 @@
+const { StringDecoder } = require("string_decoder");
+const zlib = require("zlib");
 const { Errors } = require("moleculer");
 const MoleculerTCP = require("moleculer-tcp");
 
 const COMMANDS = {
+  EOR: 239, // end of record
   SE: 240, // end of subnegotiation parameters
   NOP: 241, // no operation
+  DM: 242, // data mark
+  BRK: 243, // break
+  IP: 244, // interrupt process
+  AO: 245, // abort output
   AYT: 246, // are you there?
+  EC: 247, // erase character
+  EL: 248, // erase line
+  GA: 249, // go ahead
   SB: 250, // subnegotiation
   WILL: 251, // will
   WONT: 252, // wont
@@ -18,16 +28,278 @@ const COMMANDS = {
   REQUEST: 1,
   SPACE: 32,
   ACCEPTED: 2,
+  TTABLE_IS: 4,
+  TTABLE_REJECTED: 5,
 };
 
 const OPTIONS = {
   ECHO: 1, // http://tools.ietf.org/html/rfc857
   SUPPRESS_GO_AHEAD: 3, // http://tools.ietf.org/html/rfc858
+  TIMING_MARK: 6, // http://tools.ietf.org/html/rfc860
   NAWS: 31, // http://tools.ietf.org/html/rfc1073
   CHARSET: 42, // http://tools.ietf.org/html/rfc2066
   TTYPE: 24, // http://tools.ietf.org/html/rfc1091
+  EOR: 25, // http://tools.ietf.org/html/rfc885
+  LINEMODE: 34, // http://tools.ietf.org/html/rfc1184
+  NEW_ENVIRON: 39, // http://tools.ietf.org/html/rfc1572
+  MSDP: 69, // https://tintin.mudhalla.net/protocols/msdp/
+  MSSP: 70, // https://tintin.mudhalla.net/protocols/mssp/
+  MCCP2: 86, // https://tintin.mudhalla.net/protocols/mccp/
+  MCCP3: 87, // https://tintin.mudhalla.net/protocols/mccp/
+  MXP: 91, // https://www.zuggsoft.com/zmud/mxp.htm
+  GMCP: 201, // https://tintin.mudhalla.net/protocols/gmcp/
 };
 
+// the bits of the MTTS bitvector, https://tintin.mudhalla.net/protocols/mtts/
+const MTTS = {
+  ANSI: 1,
+  VT100: 2,
+  UTF8: 4,
+  COLORS_256: 8,
+  MOUSE_TRACKING: 16,
+  OSC_COLOR_PALETTE: 32,
+  SCREEN_READER: 64,
+  PROXY: 128,
+  TRUECOLOR: 256,
+  MNES: 512,
+  MSLP: 1024,
+  SSL: 2048,
+};
+
+// the names of the two byte commands, used for the `telnet.command.<name>` events
+const CONTROL_COMMANDS = {
+  [COMMANDS.EOR]: "eor",
+  [COMMANDS.NOP]: "nop",
+  [COMMANDS.DM]: "dm",
+  [COMMANDS.BRK]: "brk",
+  [COMMANDS.IP]: "ip",
+  [COMMANDS.AO]: "ao",
+  [COMMANDS.AYT]: "ayt",
+  [COMMANDS.EC]: "ec",
+  [COMMANDS.EL]: "el",
+  [COMMANDS.GA]: "ga",
+};
+
+// the names of the commands that start a subnegotiation payload, per option, used for the dot notation
+const SUBNEGOTIATION_COMMANDS = {
+  [OPTIONS.TTYPE]: { 0: "IS", 1: "SEND" },
+  [OPTIONS.NEW_ENVIRON]: { 0: "IS", 1: "SEND", 2: "INFO" },
+  [OPTIONS.MSDP]: { 1: "VAR", 2: "VAL" },
+  [OPTIONS.MSSP]: { 1: "VAR", 2: "VAL" },
+  [OPTIONS.CHARSET]: {
+    1: "REQUEST",
+    2: "ACCEPTED",
+    3: "REJECTED",
+    4: "TTABLE_IS",
+    5: "TTABLE_REJECTED",
+  },
+  [OPTIONS.LINEMODE]: {
+    1: "MODE",
+    2: "FORWARDMASK",
+    3: "SLC",
+    251: "WILL",
+    252: "WONT",
+    253: "DO",
+    254: "DONT",
+  },
+};
+
+// the suboptions and mode bits of LINEMODE subnegotiations, http://tools.ietf.org/html/rfc1184
+const LINEMODE = {
+  MODE: 1,
+  FORWARDMASK: 2,
+  SLC: 3,
+  EDIT: 1,
+  TRAPSIG: 2,
+  MODE_ACK: 4,
+  SOFT_TAB: 8,
+  LIT_ECHO: 16,
+};
+
+// the functions, support levels and flags of the LINEMODE SLC suboption
+const SLC = {
+  SYNCH: 1,
+  BRK: 2,
+  IP: 3,
+  AO: 4,
+  AYT: 5,
+  EOR: 6,
+  ABORT: 7,
+  EOF: 8,
+  SUSP: 9,
+  EC: 10,
+  EL: 11,
+  EW: 12,
+  RP: 13,
+  LNEXT: 14,
+  XON: 15,
+  XOFF: 16,
+  FORW1: 17,
+  FORW2: 18,
+  NOSUPPORT: 0,
+  CANTCHANGE: 1,
+  VALUE: 2,
+  DEFAULT: 3,
+  LEVELBITS: 3,
+  FLUSHOUT: 32,
+  FLUSHIN: 64,
+  ACK: 128,
+};
+
+// the names of the SLC functions, indexed by function code
+const SLC_FUNCTIONS = [
+  null,
+  "synch",
+  "brk",
+  "ip",
+  "ao",
+  "ayt",
+  "eor",
+  "abort",
+  "eof",
+  "susp",
+  "ec",
+  "el",
+  "ew",
+  "rp",
+  "lnext",
+  "xon",
+  "xoff",
+  "forw1",
+  "forw2",
+];
+
+// the characters the server suggests when the client asks for the default SLC values, the usual control characters
+const SLC_DEFAULTS = {
+  [SLC.IP]: 0x03,
+  [SLC.AO]: 0x0f,
+  [SLC.AYT]: 0x14,
+  [SLC.ABORT]: 0x1c,
+  [SLC.EOF]: 0x04,
+  [SLC.SUSP]: 0x1a,
+  [SLC.EC]: 0x7f,
+  [SLC.EL]: 0x15,
+  [SLC.EW]: 0x17,
+  [SLC.RP]: 0x12,
+  [SLC.LNEXT]: 0x16,
+  [SLC.XON]: 0x11,
+  [SLC.XOFF]: 0x13,
+};
+
+// the type codes of NEW-ENVIRON subnegotiations, http://tools.ietf.org/html/rfc1572
+const ENVIRON = {
+  VAR: 0,
+  VALUE: 1,
+  ESC: 2,
+  USERVAR: 3,
+};
+
+// the type codes of MSSP subnegotiations, https://tintin.mudhalla.net/protocols/mssp/
+const MSSP = {
+  VAR: 1,
+  VAL: 2,
+};
+
+// the type codes of MSDP subnegotiations, https://tintin.mudhalla.net/protocols/msdp/
+const MSDP = {
+  VAR: 1,
+  VAL: 2,
+  TABLE_OPEN: 3,
+  TABLE_CLOSE: 4,
+  ARRAY_OPEN: 5,
+  ARRAY_CLOSE: 6,
+};
+
+// the commands a client can send with MSDP
+const MSDP_COMMANDS = ["LIST", "REPORT", "RESET", "SEND", "UNREPORT"];
+
+// the lists a client can request with the MSDP LIST command
+const MSDP_LISTS = [
+  "COMMANDS",
+  "LISTS",
+  "CONFIGURABLE_VARIABLES",
+  "REPORTABLE_VARIABLES",
+  "REPORTED_VARIABLES",
+  "SENDABLE_VARIABLES",
+];
+
+// the line modes of MXP, selected with ESC [ <mode> z, https://www.zuggsoft.com/zmud/mxp.htm
+const MXP = {
+  OPEN: 0,
+  SECURE: 1,
+  LOCKED: 2,
+  RESET: 3,
+  TEMP_SECURE: 4,
+  LOCK_OPEN: 5,
+  LOCK_SECURE: 6,
+  LOCK_LOCKED: 7,
+};
+
+// the color depths markup is rendered in, from the most colors to none
+const COLOR_DEPTHS = ["truecolor", "256", "16", "none"];
+
+// the terminal types and MUD clients known to display ANSI colors, unless the name marks a monochrome variant
+const COLOR_TERMINALS =
+  /^(xterm|rxvt|screen|tmux|linux|cygwin|putty|konsole|gnome|vte|alacritty|kitty|ansi|mudlet|mushclient|cmud|zmud|tintin\+\+|tinyfugue|blowtorch|mudrammer|beip|potato|atlantis)|color/;
+const MONOCHROME_TERMINALS = /-(mono|m)$/;
+
+// the named colors of the markup, in the order of their ANSI color numbers
+const MARKUP_COLORS = [
+  "black",
+  "red",
+  "green",
+  "yellow",
+  "blue",
+  "magenta",
+  "cyan",
+  "white",
+];
+
+// the SGR parameters of the styles of the markup
+const MARKUP_STYLES = {
+  reset: 0,
+  bold: 1,
+  dim: 2,
+  italic: 3,
+  underline: 4,
+  blink: 5,
+  reverse: 7,
+};
+
+// the RGB values of the 16 ANSI colors as xterm shows them, used to find the closest one to a hex color
+const ANSI_PALETTE = [
+  [0, 0, 0],
+  [205, 0, 0],
+  [0, 205, 0],
+  [205, 205, 0],
+  [0, 0, 238],
+  [205, 0, 205],
+  [0, 205, 205],
+  [229, 229, 229],
+  [127, 127, 127],
+  [255, 0, 0],
+  [0, 255, 0],
+  [255, 255, 0],
+  [92, 92, 255],
+  [255, 0, 255],
+  [0, 255, 255],
+  [255, 255, 255],
+];
+
+// the levels of each channel of the 6x6x6 color cube of the 256 colors
+const CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+
+// the variables requested with NEW-ENVIRON when the `environ` setting is `true`
+const DEFAULT_ENVIRON = ["USER", "LANG", "IPADDRESS", "SYSTEMTYPE"];
+
+// the maximum number of terminal types requested from a client that never repeats itself
+const MAX_TTYPE_CYCLES = 10;
+
+// the characters of the upper half of code page 437, indexed by byte value - 0x80
+const CP437 =
+  "ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒáíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐" +
+  "└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00a0";
+
 /**
  * The TelnetOptionHandler clas is used to define how a particular telnet option is handled by the service. To add
  * custom handling for a particular option, create a new class that extends TelnetOptionHandler and override the
@@ -38,7 +310,9 @@ const OPTIONS = {
  * as a buffer.
  *
  * Existing handlers can be overridden by adding a new handler with the same class name. Handlers with differing names
- * but returning `true` for the same `match` function will be called in addition to any existing matching handlers.
+ * but returning `true` for the same `match` function will be called in addition to any existing matching handlers,
+ * in order of their `priority` (highest first) and then in order of registration. A handler that returns
+ * `TelnetOptionHandler.CONSUMED` from `handle` stops the sequence from reaching any handler after it.
  */
 class TelnetOptionHandler {
   /**
@@ -65,6 +339,83 @@ class TelnetOptionHandler {
   async handle(id, service, sequence) {}
 }
 
+/**
+ * The default priority of the handler. Can be overridden per registration with the `priority` parameter of the
+ * `registerTelnetOptionHandler` action, or by declaring the handler as `{ handler, priority }`.
+ *
+ * @type {number}
+ */
+TelnetOptionHandler.priority = 0;
+
+/**
+ * Returned from `handle` to stop the remaining matching handlers from handling the sequence.
+ *
+ * @type {symbol}
+ */
+TelnetOptionHandler.CONSUMED = Symbol("consumed");
+
+class ControlCommandHandler extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence.length === 2 &&
+      sequence[0] === COMMANDS.IAC &&
+      CONTROL_COMMANDS[sequence[1]] !== undefined
+    );
+  }
+
+  async handle(id, service, sequence) {
+    return service.broker.emit(
+      "telnet.command." + CONTROL_COMMANDS[sequence[1]],
+      { id }
+    );
+  }
+}
+
+class AYTCommandHandler extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence.length === 2 &&
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.AYT
+    );
+  }
+
+  async handle(id, service, sequence) {
+    // a visible reply tells the user the connection is still alive
+    if (service.settings.aytReply) {
+      return service.actions.sendText({
+        id,
+        text: service.settings.aytReply + "\r\n",
+      });
+    }
+  }
+}
+
+class TimingMarkOptionHandler extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence.length === 3 &&
+      sequence[0] === COMMANDS.IAC &&
+      sequence[2] === OPTIONS.TIMING_MARK
+    );
+  }
+
+  async handle(id, service, sequence) {
+    // everything the client sent before the DO has been processed, which is all the mark asks for
+    if (sequence[1] === COMMANDS.DO) {
+      return service.actions.sendTelnetSequence({
+        id,
+        sequence: [COMMANDS.IAC, COMMANDS.WILL, OPTIONS.TIMING_MARK],
+      });
+    }
+
+    // WILL and WONT both answer the keepalive probe, either way the client is alive
+    if (sequence[1] === COMMANDS.WILL || sequence[1] === COMMANDS.WONT) {
+      return service.receiveKeepalive(id);
+    }
+  }
+}
+
 class WillTTYPEOptionHandler extends TelnetOptionHandler {
   match(sequence) {
     return (
@@ -82,6 +433,8 @@ class WillTTYPEOptionHandler extends TelnetOptionHandler {
     });
     await service.broker.emit("telnet.ttype.enabled", { id });
 
+    service.awaitTelnetSubnegotiation(id, OPTIONS.TTYPE);
+
     return service.actions.sendTelnetSequence({
       id,
       sequence: [
@@ -122,22 +475,70 @@ class TTYPEOption extends TelnetOptionHandler {
     return (
       sequence[0] === COMMANDS.IAC &&
       sequence[1] === COMMANDS.SB &&
-      sequence[2] === OPTIONS.TTYPE
+      sequence[2] === OPTIONS.TTYPE &&
+      sequence[3] === COMMANDS.IS
     );
   }
 
   async handle(id, service, sequence) {
-    let ttype = "";
+    const ttypes = service.getTelnetConnectionState(id).ttypes;
+    const ttype = Buffer.from(unescapeSubnegotiation(sequence).slice(1))
+      .toString("latin1")
+      .trim();
 
-    for (let i = 3; i < sequence.length - 2; i++) {
-      ttype += String.fromCharCode(sequence[i]);
+    if (ttypes.length === 0) {
+      await service.actions.setMetadata({ id, key: "ttype", value: ttype });
+      await service.broker.emit("telnet.ttype.set", { id, ttype });
     }
 
-    ttype = ttype.slice(1, ttype.length).trim();
+    // a client repeats the last terminal type, or starts over with the first one, once it has reported all of them
+    if (!ttypes.includes(ttype) && ttypes.length < MAX_TTYPE_CYCLES) {
+      ttypes.push(ttype);
 
-    await service.actions.setMetadata({ id, key: "ttype", value: ttype });
+      return service.actions.sendTelnetSequence({
+        id,
+        sequence: [
+          COMMANDS.IAC,
+          COMMANDS.SB,
+          OPTIONS.TTYPE,
+          COMMANDS.SEND,
+          COMMANDS.IAC,
+          COMMANDS.SE,
+        ],
+      });
+    }
+
+    // MTTS clients report their name, their terminal type and then the MTTS bitvector
+    const mttsIndex = ttypes.findIndex((t) => /^MTTS \d+$/i.test(t));
+    const mtts = mttsIndex === -1 ? 0 : parseInt(ttypes[mttsIndex].slice(5));
+    const client = mttsIndex > 1 ? ttypes[0] : null;
+    const terminal = mttsIndex > 1 ? ttypes[1] : ttypes[0];
+    const capabilities = decodeMTTS(mtts);
+
+    await service.actions.setMetadata({
+      id,
+      key: "ttypes",
+      value: [...ttypes],
+    });
+    await service.actions.setMetadata({ id, key: "client", value: client });
+    await service.actions.setMetadata({ id, key: "ttype", value: terminal });
+    await service.actions.setMetadata({ id, key: "mtts", value: mtts });
+    await service.actions.setMetadata({
+      id,
+      key: "capabilities",
+      value: capabilities,
+    });
+
+    service.resolveTelnetNegotiation(id, OPTIONS.TTYPE);
 
-    return service.broker.emit("telnet.ttype.set", { id, ttype });
+    return service.broker.emit("telnet.ttype.capabilities", {
+      id,
+      client,
+      ttype: terminal,
+      ttypes: [...ttypes],
+      mtts,
+      capabilities,
+    });
   }
 }
 
@@ -151,7 +552,11 @@ class DoCharsetOptionHandler extends TelnetOptionHandler {
   }
 
   async handle(id, service, sequence) {
-    const charset = service.settings.charset;
+    const charsets = service.getTelnetCharsets();
+
+    // remember what was offered so the reply can be checked against it
+    service.getTelnetConnectionState(id).charsetRequest = charsets;
+    service.awaitTelnetSubnegotiation(id, OPTIONS.CHARSET);
 
     return service.actions.sendTelnetSequence({
       id,
@@ -161,7 +566,7 @@ class DoCharsetOptionHandler extends TelnetOptionHandler {
         OPTIONS.CHARSET,
         COMMANDS.REQUEST,
         COMMANDS.SPACE,
-        ...Buffer.from(charset),
+        ...Buffer.from(charsets.join(" ")),
         COMMANDS.IAC,
         COMMANDS.SE,
       ],
@@ -180,16 +585,38 @@ class AcceptCharsetOptionHandler extends TelnetOptionHandler {
   }
 
   async handle(id, service, sequence) {
+    const state = service.getTelnetConnectionState(id);
+    const accepted = Buffer.from(unescapeSubnegotiation(sequence).slice(1))
+      .toString("latin1")
+      .trim();
+
+    // use the name as it was offered, the client may have changed its case
+    let charset = (state.charsetRequest || []).find(
+      (offered) => offered.toUpperCase() === accepted.toUpperCase()
+    );
+
+    state.charsetRequest = null;
+
+    if (!charset) {
+      service.logger.warn(
+        "connection: " +
+          id +
+          " accepted charset " +
+          accepted +
+          " which was not offered"
+      );
+      charset = "ascii";
+    }
+
     await service.actions.setMetadata({
       id,
       key: "charset",
-      value: service.settings.charset,
+      value: charset,
     });
 
-    return service.broker.emit("telnet.charset.set", {
-      id,
-      charset: service.settings.charset,
-    });
+    service.resolveTelnetNegotiation(id, OPTIONS.CHARSET);
+
+    return service.broker.emit("telnet.charset.set", { id, charset });
   }
 }
 
@@ -198,22 +625,138 @@ class RejectCharsetOptionHandler extends TelnetOptionHandler {
     return (
       sequence[0] === COMMANDS.IAC &&
       sequence[1] === COMMANDS.SB &&
-      sequence[2] === COMMANDS.REJECTED &&
-      sequence[3] === OPTIONS.CHARSET
+      sequence[2] === OPTIONS.CHARSET &&
+      sequence[3] === COMMANDS.REJECTED
     );
   }
 
   async handle(id, service, sequence) {
+    service.getTelnetConnectionState(id).charsetRequest = null;
+
     await service.actions.setMetadata({
       id,
       key: "charset",
       value: "ascii",
     });
 
+    service.resolveTelnetNegotiation(id, OPTIONS.CHARSET);
+
     return service.broker.emit("telnet.charset.set", { id, charset: "ascii" });
   }
 }
 
+class RequestCharsetOptionHandler extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.SB &&
+      sequence[2] === OPTIONS.CHARSET &&
+      sequence[3] === COMMANDS.REQUEST
+    );
+  }
+
+  async handle(id, service, sequence) {
+    // when both sides send a REQUEST at the same time the server's REQUEST takes precedence
+    if (service.getTelnetConnectionState(id).charsetRequest) {
+      service.logger.debug(
+        "connection: " +
+          id +
+          " ignoring charset request, awaiting a reply to our own"
+      );
+      return;
+    }
+
+    let request = Buffer.from(
+      unescapeSubnegotiation(sequence).slice(1)
+    ).toString("latin1");
+
+    // the translation table version is not used, only the character sets
+    if (request.startsWith("[TTABLE]")) {
+      request = request.slice(9);
+    }
+
+    const requested = request
+      .slice(1)
+      .split(request[0])
+      .filter((charset) => charset.length > 0);
+
+    let charset;
+
+    for (let preferred of service.getTelnetCharsets()) {
+      charset = requested.find(
+        (name) => name.toUpperCase() === preferred.toUpperCase()
+      );
+
+      if (charset) {
+        break;
+      }
+    }
+
+    if (!charset) {
+      return service.actions.sendTelnetSequence({
+        id,
+        sequence: [
+          COMMANDS.IAC,
+          COMMANDS.SB,
+          OPTIONS.CHARSET,
+          COMMANDS.REJECTED,
+          COMMANDS.IAC,
+          COMMANDS.SE,
+        ],
+      });
+    }
+
+    await service.actions.sendTelnetSequence({
+      id,
+      sequence: [
+        COMMANDS.IAC,
+        COMMANDS.SB,
+        OPTIONS.CHARSET,
+        COMMANDS.ACCEPTED,
+        ...Buffer.from(charset),
+        COMMANDS.IAC,
+        COMMANDS.SE,
+      ],
+    });
+
+    await service.actions.setMetadata({
+      id,
+      key: "charset",
+      value: charset,
+    });
+
+    service.resolveTelnetNegotiation(id, OPTIONS.CHARSET);
+
+    return service.broker.emit("telnet.charset.set", { id, charset });
+  }
+}
+
+class TTableCharsetOptionHandler extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.SB &&
+      sequence[2] === OPTIONS.CHARSET &&
+      sequence[3] === COMMANDS.TTABLE_IS
+    );
+  }
+
+  async handle(id, service, sequence) {
+    // translation tables are not supported
+    return service.actions.sendTelnetSequence({
+      id,
+      sequence: [
+        COMMANDS.IAC,
+        COMMANDS.SB,
+        OPTIONS.CHARSET,
+        COMMANDS.TTABLE_REJECTED,
+        COMMANDS.IAC,
+        COMMANDS.SE,
+      ],
+    });
+  }
+}
+
 class DontCharsetOptionHandler extends TelnetOptionHandler {
   match(sequence) {
     return (
@@ -259,7 +802,11 @@ class WillEchoOptionHandler extends TelnetOptionHandler {
 
 class WontEchoOptionHandler extends TelnetOptionHandler {
   match(sequence) {
-    return sequence[0] === COMMANDS.IAC && sequence[1] === COMMANDS.WONT;
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.WONT &&
+      sequence[2] === OPTIONS.ECHO
+    );
   }
 
   async handle(id, service, sequence) {
@@ -274,341 +821,4913 @@ class WontEchoOptionHandler extends TelnetOptionHandler {
   }
 }
 
-/**
- * The MoleculerTelnet service implements a Telnet server. This service mixes in the [MoleculerTCP](https://github.com/fugufish/moleculer-tcp) service
- * and extends it with Telnet-specific functionality.
- *
- * ## Telnet Options
- * The MoleculerTelnet service supports several Telnet options:
- *
- * * **TTYPE** - The TTYPE option allows the server to request the client's terminal type. If client responds with the
- * terminal type and will be stored in the connection's metadata.
- *
- * * **CHARSET** - The server can utilize either ASCII or UTF-8 encoding. The server will request the client to respect
- * the encoding and the client will respond with the encoding it will use. The encoding will be stored in the connection's
- * metadata. If the client does not respond, teh encoding will default to ASCII.
- *
- * * **ECHO** - The server can request that the client echo not characters. This is useful for password entry.
- *
- * ### Adding Support for Additional Telnet Options
- * Additional Telnet options can be added by extending the {@link `TelnetOptionHandler`} class and adding the handler to the
- * service by calling the `telnet.addOptionHandler` method. When a Telnet command is received, it will be checked against
- * the existing registered handlers. If a handler is found, it will be executed. If no handler is found, the command will
- * be ignored.
- *
- * ## Settings
- * The MoleculerTelnet service mixes in the [MoleculerTCP](https://github.com/fugufish/moleculer-tcp) service. It supports
- * all the settings of the MoleculerTCP service. In addition, it supports the following settings:
- *
- * | Property | Type | Default | Environment Variable | Description |
- * | -------- | ---- | ------- | -------------------- | ----------- |
- * | `ttype` | `Boolean` | `true` | N/A | Whether to enable the TTYPE option. |
- * | `charset` | `String` | `null` | N/A | The charset to use. If not set this will default to ASCII. |
- *
- * ## Actions
- * The MoleculerTelnet service mixes in the [MoleculerTCP](https://github.com/fugufish/moleculer-tcp) service. It supports
- * all the actions of the MoleculerTCP service. In addition, it supports the following actions:
- *
- * | Name | Parameters | Visibility |Description |
- * | ---- | ---------- | ---------- | ---------- |
- * | `sendTelnetSequence` | `id: string`, `sequence: Array<number>` | public | Sends a Telnet sequence to the client. |
- * | `sendDo` | `id: string`, `option: number` | public | Sends a DO Telnet command to the client. |
- * | `sendDont` | `id: string`, `option: number` | public | Sends a DONT Telnet command to the client. |
- * | `registerTelnetOptionHandler` | `handler: TelnetOptionHandler` | protected | Registers a Telnet option handler. |
- */
-const MoleculerTelnet = {
-  actions: {
-    handleTelnetCommand: {
-      visibility: "private",
-      params: {
-        id: "string",
-        command: "any",
-      },
-      async handler(ctx) {
-        const { id, command } = ctx.params;
-
-        for (let handler of Object.values(this.optionHandlers)) {
-          if (handler.match(command)) {
-            await handler.handle(id, this, command);
-          }
-        }
-      },
-    },
+class DoEchoOptionHandler extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.DO &&
+      sequence[2] === OPTIONS.ECHO
+    );
+  }
 
-    onServerConnection: {
-      hooks: {
-        async after(ctx) {
-          const id = ctx.params.id;
+  async handle(id, service, sequence) {
+    await service.actions.setMetadata({
+      id,
+      key: "serverEcho",
+      value: true,
+    });
+    await service.broker.emit("telnet.echo.server.enabled", { id });
+  }
+}
 
-          // send the initial telnet commands
-          await this.actions.setMetadata({
-            id,
-            key: "charset",
-            value: "ascii",
-          });
+class DontEchoOptionHandler extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.DONT &&
+      sequence[2] === OPTIONS.ECHO
+    );
+  }
 
-          await this.actions.setMetadata({
-            id,
-            key: "ttype",
-            value: "generic",
-          });
+  async handle(id, service, sequence) {
+    await service.actions.setMetadata({
+      id,
+      key: "serverEcho",
+      value: false,
+    });
+    await service.broker.emit("telnet.echo.server.disabled", { id });
+  }
+}
+
+class WillNAWSOptionHandler extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.WILL &&
+      sequence[2] === OPTIONS.NAWS
+    );
+  }
+
+  async handle(id, service, sequence) {
+    await service.actions.setMetadata({
+      id,
+      key: "nawsEnabled",
+      value: true,
+    });
+    await service.broker.emit("telnet.naws.enabled", { id });
+
+    service.awaitTelnetSubnegotiation(id, OPTIONS.NAWS);
+  }
+}
+
+class WontNAWSOptionHandler extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.WONT &&
+      sequence[2] === OPTIONS.NAWS
+    );
+  }
+
+  async handle(id, service, sequence) {
+    await service.actions.setMetadata({
+      id,
+      key: "nawsEnabled",
+      value: false,
+    });
+    await service.broker.emit("telnet.naws.disabled", { id });
+  }
+}
+
+class NAWSOption extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.SB &&
+      sequence[2] === OPTIONS.NAWS
+    );
+  }
+
+  async handle(id, service, sequence) {
+    const data = unescapeSubnegotiation(sequence);
+
+    // the client must send exactly two 16 bit values, anything else is malformed and ignored
+    if (data.length !== 4) {
+      service.logger.debug(
+        "connection: " + id + " sent a malformed NAWS subnegotiation"
+      );
+      return;
+    }
+
+    const width = (data[0] << 8) | data[1];
+    const height = (data[2] << 8) | data[3];
+
+    await service.actions.setMetadata({ id, key: "width", value: width });
+    await service.actions.setMetadata({ id, key: "height", value: height });
+
+    service.resolveTelnetNegotiation(id, OPTIONS.NAWS);
+
+    return service.broker.emit("telnet.naws.resize", { id, width, height });
+  }
+}
+
+class WillEnvironOptionHandler extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.WILL &&
+      sequence[2] === OPTIONS.NEW_ENVIRON
+    );
+  }
+
+  async handle(id, service, sequence) {
+    await service.actions.setMetadata({
+      id,
+      key: "environEnabled",
+      value: true,
+    });
+    await service.broker.emit("telnet.environ.enabled", { id });
+
+    service.awaitTelnetSubnegotiation(id, OPTIONS.NEW_ENVIRON);
+
+    // request the configured variables and every user variable, a USERVAR without a name asks for all of them
+    const request = [];
+
+    for (let name of service.getTelnetEnvironVariables()) {
+      request.push(ENVIRON.VAR, ...escapeEnviron(Buffer.from(name, "utf8")));
+    }
+
+    request.push(ENVIRON.USERVAR);
+
+    return service.actions.sendTelnetSequence({
+      id,
+      sequence: [
+        COMMANDS.IAC,
+        COMMANDS.SB,
+        OPTIONS.NEW_ENVIRON,
+        COMMANDS.SEND,
+        ...request,
+        COMMANDS.IAC,
+        COMMANDS.SE,
+      ],
+    });
+  }
+}
+
+class WontEnvironOptionHandler extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.WONT &&
+      sequence[2] === OPTIONS.NEW_ENVIRON
+    );
+  }
+
+  async handle(id, service, sequence) {
+    await service.actions.setMetadata({
+      id,
+      key: "environEnabled",
+      value: false,
+    });
+    await service.broker.emit("telnet.environ.disabled", { id });
+  }
+}
+
+class EnvironOption extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.SB &&
+      sequence[2] === OPTIONS.NEW_ENVIRON
+    );
+  }
+
+  async handle(id, service, sequence) {
+    const data = unescapeSubnegotiation(sequence);
+
+    // the server does not provide any variables, so only IS and INFO from the client are of interest
+    if (data[0] !== COMMANDS.IS && data[0] !== COMMANDS.INFO) {
+      service.logger.debug(
+        "connection: " + id + " sent an unexpected NEW-ENVIRON subnegotiation"
+      );
+      return;
+    }
+
+    const state = service.getTelnetConnectionState(id);
+    const changed = {};
+
+    for (let variable of decodeEnviron(data.slice(1))) {
+      const variables =
+        variable.type === "uservar" ? state.environUser : state.environ;
+
+      // a variable without a value is not defined on the client
+      if (variable.value === null) {
+        delete variables[variable.name];
+      } else {
+        variables[variable.name] = variable.value;
+      }
+
+      changed[variable.name] = variable.value;
+    }
+
+    await service.actions.setMetadata({
+      id,
+      key: "environ",
+      value: { ...state.environ },
+    });
+    await service.actions.setMetadata({
+      id,
+      key: "environUser",
+      value: { ...state.environUser },
+    });
+
+    service.resolveTelnetNegotiation(id, OPTIONS.NEW_ENVIRON);
+
+    return service.broker.emit(
+      data[0] === COMMANDS.IS ? "telnet.environ.set" : "telnet.environ.updated",
+      {
+        id,
+        environ: { ...state.environ },
+        environUser: { ...state.environUser },
+        changed,
+      }
+    );
+  }
+}
+
+class WillLinemodeOptionHandler extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.WILL &&
+      sequence[2] === OPTIONS.LINEMODE
+    );
+  }
+
+  async handle(id, service, sequence) {
+    await service.actions.setMetadata({
+      id,
+      key: "linemodeEnabled",
+      value: true,
+    });
+    await service.broker.emit("telnet.linemode.enabled", { id });
+
+    service.awaitTelnetSubnegotiation(id, OPTIONS.LINEMODE);
+
+    const mode = service.settings.linemode;
+
+    // `true` hands line editing to the client, an object sets the mode bits explicitly
+    return service.actions.setLineMode({
+      id,
+      edit: typeof mode === "object" ? !!mode.edit : true,
+      trapsig: typeof mode === "object" ? !!mode.trapsig : false,
+    });
+  }
+}
+
+class WontLinemodeOptionHandler extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.WONT &&
+      sequence[2] === OPTIONS.LINEMODE
+    );
+  }
+
+  async handle(id, service, sequence) {
+    await service.actions.setMetadata({
+      id,
+      key: "linemodeEnabled",
+      value: false,
+    });
+    await service.broker.emit("telnet.linemode.disabled", { id });
+  }
+}
+
+class LinemodeOption extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.SB &&
+      sequence[2] === OPTIONS.LINEMODE
+    );
+  }
+
+  async handle(id, service, sequence) {
+    const data = unescapeSubnegotiation(sequence);
+
+    switch (data[0]) {
+      case LINEMODE.MODE:
+        return this.handleMode(id, service, data[1]);
+      case LINEMODE.SLC:
+        return this.handleSLC(id, service, data.slice(1));
+      case COMMANDS.WILL:
+      case COMMANDS.WONT:
+      case COMMANDS.DO:
+      case COMMANDS.DONT:
+        if (data[1] === LINEMODE.FORWARDMASK) {
+          return this.handleForwardMask(id, service, data[0]);
+        }
+    }
+
+    service.logger.debug(
+      "connection: " + id + " sent an unknown LINEMODE subnegotiation"
+    );
+  }
+
+  async handleMode(id, service, mask) {
+    if (mask === undefined) {
+      service.logger.debug(
+        "connection: " + id + " sent a LINEMODE MODE without a mask"
+      );
+      return;
+    }
+
+    // a mode the client picked itself has to be acknowledged, RFC 1184 2.2
+    if (!(mask & LINEMODE.MODE_ACK)) {
+      mask =
+        (mask &
+          (LINEMODE.EDIT |
+            LINEMODE.TRAPSIG |
+            LINEMODE.SOFT_TAB |
+            LINEMODE.LIT_ECHO)) |
+        LINEMODE.MODE_ACK;
+
+      await service.actions.sendTelnetSequence({
+        id,
+        sequence: [
+          COMMANDS.IAC,
+          COMMANDS.SB,
+          OPTIONS.LINEMODE,
+          LINEMODE.MODE,
+          mask,
+          COMMANDS.IAC,
+          COMMANDS.SE,
+        ],
+      });
+    }
+
+    const mode = {
+      edit: (mask & LINEMODE.EDIT) !== 0,
+      trapsig: (mask & LINEMODE.TRAPSIG) !== 0,
+      softTab: (mask & LINEMODE.SOFT_TAB) !== 0,
+      litEcho: (mask & LINEMODE.LIT_ECHO) !== 0,
+    };
+
+    await service.actions.setMetadata({ id, key: "linemode", value: mode });
+
+    service.resolveTelnetNegotiation(id, OPTIONS.LINEMODE);
+
+    return service.broker.emit("telnet.linemode.mode", { id, ...mode });
+  }
+
+  async handleForwardMask(id, service, command) {
+    const state = service.getTelnetConnectionState(id);
+
+    // the server does not forward anything, so a client asking it to is refused
+    if (command === COMMANDS.DO) {
+      return service.actions.sendTelnetSequence({
+        id,
+        sequence: [
+          COMMANDS.IAC,
+          COMMANDS.SB,
+          OPTIONS.LINEMODE,
+          COMMANDS.WONT,
+          LINEMODE.FORWARDMASK,
+          COMMANDS.IAC,
+          COMMANDS.SE,
+        ],
+      });
+    }
+
+    if (command === COMMANDS.DONT) {
+      return;
+    }
+
+    await service.actions.setMetadata({
+      id,
+      key: "forwardMask",
+      value: command === COMMANDS.WILL ? state.forwardMaskRequest : null,
+    });
+
+    state.forwardMaskRequest = null;
+  }
+
+  async handleSLC(id, service, data) {
+    const state = service.getTelnetConnectionState(id);
+    const reply = [];
+
+    for (let i = 0; i + 2 < data.length; i += 3) {
+      const [func, modifier, value] = data.slice(i, i + 3);
+      const level = modifier & SLC.LEVELBITS;
+
+      // function 0 asks for the whole table, either the defaults or the current values
+      if (func === 0) {
+        if (level === SLC.DEFAULT) {
+          for (let code = 1; code < SLC_FUNCTIONS.length; code++) {
+            state.slc[code] = defaultSLC(code);
+          }
+        }
+
+        for (let code of Object.keys(state.slc)) {
+          reply.push(...encodeSLC(code, state.slc[code]));
+        }
+        continue;
+      }
+
+      if (func >= SLC_FUNCTIONS.length) {
+        continue;
+      }
+
+      const entry = {
+        level,
+        value,
+        flushIn: (modifier & SLC.FLUSHIN) !== 0,
+        flushOut: (modifier & SLC.FLUSHOUT) !== 0,
+      };
+
+      // an acknowledgement of one of the server's values needs no reply
+      if (modifier & SLC.ACK) {
+        state.slc[func] = entry;
+        continue;
+      }
+
+      if (level === SLC.DEFAULT) {
+        state.slc[func] = defaultSLC(func);
+        reply.push(...encodeSLC(func, state.slc[func]));
+        continue;
+      }
+
+      // the server has no preferences of its own, so it agrees to whatever the client uses
+      state.slc[func] = entry;
+      reply.push(...encodeSLC(func, entry, SLC.ACK));
+    }
+
+    const slc = {};
+
+    for (let code of Object.keys(state.slc)) {
+      slc[SLC_FUNCTIONS[code]] = {
+        ...state.slc[code],
+        level: ["nosupport", "cantchange", "value", "default"][
+          state.slc[code].level
+        ],
+      };
+    }
+
+    await service.actions.setMetadata({ id, key: "slc", value: slc });
+    await service.broker.emit("telnet.linemode.slc", { id, slc });
+
+    if (reply.length > 0) {
+      return service.actions.sendTelnetSequence({
+        id,
+        sequence: [
+          COMMANDS.IAC,
+          COMMANDS.SB,
+          OPTIONS.LINEMODE,
+          LINEMODE.SLC,
+          ...reply,
+          COMMANDS.IAC,
+          COMMANDS.SE,
+        ],
+      });
+    }
+  }
+}
+
+class DoMCCP2OptionHandler extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.DO &&
+      sequence[2] === OPTIONS.MCCP2
+    );
+  }
+
+  async handle(id, service, sequence) {
+    // the start of the compressed stream is the last thing sent uncompressed
+    await service.actions.sendTelnetSequence({
+      id,
+      sequence: [
+        COMMANDS.IAC,
+        COMMANDS.SB,
+        OPTIONS.MCCP2,
+        COMMANDS.IAC,
+        COMMANDS.SE,
+      ],
+    });
+
+    service.getTelnetConnectionState(id).mccp2 =
+      TelnetCompressionStream.deflate();
+
+    await service.updateCompressionMetadata(id);
+    await service.broker.emit("telnet.mccp2.enabled", { id });
+  }
+}
+
+class DontMCCP2OptionHandler extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.DONT &&
+      sequence[2] === OPTIONS.MCCP2
+    );
+  }
+
+  async handle(id, service, sequence) {
+    await service.stopOutputCompression(id);
+    await service.broker.emit("telnet.mccp2.disabled", { id });
+  }
+}
+
+class DontMCCP3OptionHandler extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.DONT &&
+      sequence[2] === OPTIONS.MCCP3
+    );
+  }
+
+  async handle(id, service, sequence) {
+    const state = service.getTelnetConnectionState(id);
+
+    if (state.mccp3 && !state.mccp3.ended) {
+      state.mccp3.close();
+      await service.updateCompressionMetadata(id);
+    }
+
+    await service.broker.emit("telnet.mccp3.disabled", { id });
+  }
+}
+
+class DoSGAOptionHandler extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.DO &&
+      sequence[2] === OPTIONS.SUPPRESS_GO_AHEAD
+    );
+  }
+
+  async handle(id, service, sequence) {
+    await service.actions.setMetadata({ id, key: "sgaEnabled", value: true });
+    await service.broker.emit("telnet.sga.enabled", { id });
+  }
+}
+
+class DontSGAOptionHandler extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.DONT &&
+      sequence[2] === OPTIONS.SUPPRESS_GO_AHEAD
+    );
+  }
+
+  async handle(id, service, sequence) {
+    await service.actions.setMetadata({ id, key: "sgaEnabled", value: false });
+    await service.broker.emit("telnet.sga.disabled", { id });
+  }
+}
+
+class DoEOROptionHandler extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.DO &&
+      sequence[2] === OPTIONS.EOR
+    );
+  }
+
+  async handle(id, service, sequence) {
+    await service.actions.setMetadata({ id, key: "eorEnabled", value: true });
+    await service.broker.emit("telnet.eor.enabled", { id });
+  }
+}
+
+class DontEOROptionHandler extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.DONT &&
+      sequence[2] === OPTIONS.EOR
+    );
+  }
+
+  async handle(id, service, sequence) {
+    await service.actions.setMetadata({ id, key: "eorEnabled", value: false });
+    await service.broker.emit("telnet.eor.disabled", { id });
+  }
+}
+
+class DoGMCPOptionHandler extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.DO &&
+      sequence[2] === OPTIONS.GMCP
+    );
+  }
+
+  async handle(id, service, sequence) {
+    await service.actions.setMetadata({
+      id,
+      key: "gmcpEnabled",
+      value: true,
+    });
+    await service.broker.emit("telnet.gmcp.enabled", { id });
+  }
+}
+
+class DontGMCPOptionHandler extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.DONT &&
+      sequence[2] === OPTIONS.GMCP
+    );
+  }
+
+  async handle(id, service, sequence) {
+    await service.actions.setMetadata({
+      id,
+      key: "gmcpEnabled",
+      value: false,
+    });
+    await service.broker.emit("telnet.gmcp.disabled", { id });
+  }
+}
+
+class GMCPOption extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.SB &&
+      sequence[2] === OPTIONS.GMCP
+    );
+  }
+
+  async handle(id, service, sequence) {
+    const message = Buffer.from(unescapeSubnegotiation(sequence)).toString(
+      "utf8"
+    );
+    const separator = message.indexOf(" ");
+    const name = separator === -1 ? message : message.slice(0, separator);
+    let data = null;
+
+    // the package name becomes part of the event name, so it may not contain wildcards or empty parts
+    if (!/^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/.test(name)) {
+      service.logger.debug(
+        "connection: " + id + " sent an invalid GMCP package name " + name
+      );
+      return;
+    }
+
+    if (separator !== -1) {
+      try {
+        data = JSON.parse(message.slice(separator + 1));
+      } catch (err) {
+        service.logger.debug(
+          "connection: " + id + " sent invalid GMCP data for " + name
+        );
+        return;
+      }
+    }
+
+    const supports = service.getTelnetConnectionState(id).gmcpSupports;
+
+    // the client declares the packages it supports with Core.Supports, each entry is a package name and a version
+    switch (name.toLowerCase()) {
+      case "core.supports.set":
+      case "core.supports.add":
+      case "core.supports.remove":
+        if (!Array.isArray(data)) {
+          break;
+        }
+
+        if (name.toLowerCase() === "core.supports.set") {
+          Object.keys(supports).forEach((module) => delete supports[module]);
+        }
+
+        for (let entry of data) {
+          const [module, version] = String(entry).trim().split(/\s+/);
+
+          if (name.toLowerCase() === "core.supports.remove") {
+            delete supports[module.toLowerCase()];
+          } else {
+            supports[module.toLowerCase()] = parseInt(version) || 1;
+          }
+        }
+
+        await service.actions.setMetadata({
+          id,
+          key: "gmcpSupports",
+          value: { ...supports },
+        });
+        break;
+    }
+
+    return service.broker.emit("telnet.gmcp." + name, {
+      id,
+      package: name,
+      data,
+    });
+  }
+}
+
+class DoMXPOptionHandler extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.DO &&
+      sequence[2] === OPTIONS.MXP
+    );
+  }
+
+  async handle(id, service, sequence) {
+    // the empty subnegotiation tells the client that MXP starts now
+    await service.actions.sendTelnetSequence({
+      id,
+      sequence: [
+        COMMANDS.IAC,
+        COMMANDS.SB,
+        OPTIONS.MXP,
+        COMMANDS.IAC,
+        COMMANDS.SE,
+      ],
+    });
+    await service.actions.setMetadata({
+      id,
+      key: "mxpEnabled",
+      value: true,
+    });
+    await service.broker.emit("telnet.mxp.enabled", { id });
+  }
+}
+
+class DontMXPOptionHandler extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.DONT &&
+      sequence[2] === OPTIONS.MXP
+    );
+  }
+
+  async handle(id, service, sequence) {
+    await service.actions.setMetadata({
+      id,
+      key: "mxpEnabled",
+      value: false,
+    });
+    await service.broker.emit("telnet.mxp.disabled", { id });
+  }
+}
+
+class DoMSSPOptionHandler extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.DO &&
+      sequence[2] === OPTIONS.MSSP
+    );
+  }
+
+  async handle(id, service, sequence) {
+    const variables = await service.getMsspVariables(id);
+
+    await service.actions.sendTelnetSequence({
+      id,
+      sequence: [
+        COMMANDS.IAC,
+        COMMANDS.SB,
+        OPTIONS.MSSP,
+        ...encodeMSSP(variables),
+        COMMANDS.IAC,
+        COMMANDS.SE,
+      ],
+    });
+
+    return service.broker.emit("telnet.mssp.sent", { id });
+  }
+}
+
+class DoMSDPOptionHandler extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.DO &&
+      sequence[2] === OPTIONS.MSDP
+    );
+  }
+
+  async handle(id, service, sequence) {
+    await service.actions.setMetadata({
+      id,
+      key: "msdpEnabled",
+      value: true,
+    });
+    await service.broker.emit("telnet.msdp.enabled", { id });
+  }
+}
+
+class DontMSDPOptionHandler extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.DONT &&
+      sequence[2] === OPTIONS.MSDP
+    );
+  }
+
+  async handle(id, service, sequence) {
+    service.getTelnetConnectionState(id).msdpReported.clear();
+
+    await service.actions.setMetadata({
+      id,
+      key: "msdpEnabled",
+      value: false,
+    });
+    await service.broker.emit("telnet.msdp.disabled", { id });
+  }
+}
+
+class MSDPOption extends TelnetOptionHandler {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.SB &&
+      sequence[2] === OPTIONS.MSDP
+    );
+  }
+
+  async handle(id, service, sequence) {
+    const variables = decodeMSDP(unescapeSubnegotiation(sequence));
+
+    for (let [name, value] of Object.entries(variables)) {
+      // the arguments of a command may be a single value or an array
+      const args = [].concat(value).map(String);
+
+      switch (name) {
+        case "LIST":
+          await this.handleList(id, service, args);
+          break;
+        case "REPORT":
+          await this.handleReport(id, service, args);
+          break;
+        case "UNREPORT":
+          await this.handleUnreport(id, service, args);
+          break;
+        case "SEND":
+          await this.handleSend(id, service, args);
+          break;
+        case "RESET":
+          await this.handleReset(id, service, args);
+          break;
+        default:
+          await service.broker.emit("telnet.msdp.variable", {
+            id,
+            name,
+            value,
+          });
+      }
+    }
+  }
+
+  async handleList(id, service, lists) {
+    const reported = service.getTelnetConnectionState(id).msdpReported;
+    const registry = [...service.msdpVariables.values()];
+    const variables = {};
+
+    for (let list of lists) {
+      switch (list) {
+        case "COMMANDS":
+          variables[list] = MSDP_COMMANDS;
+          break;
+        case "LISTS":
+          variables[list] = MSDP_LISTS;
+          break;
+        case "CONFIGURABLE_VARIABLES":
+          variables[list] = [];
+          break;
+        case "REPORTABLE_VARIABLES":
+          variables[list] = registry
+            .filter((v) => v.reportable)
+            .map((v) => v.name);
+          break;
+        case "REPORTED_VARIABLES":
+          variables[list] = [...reported];
+          break;
+        case "SENDABLE_VARIABLES":
+          variables[list] = registry
+            .filter((v) => v.sendable)
+            .map((v) => v.name);
+          break;
+        default:
+          service.logger.debug(
+            "connection: " + id + " requested unknown MSDP list " + list
+          );
+      }
+    }
+
+    if (Object.keys(variables).length > 0) {
+      await service.actions.sendMsdp({ id, variables });
+    }
+  }
+
+  async handleReport(id, service, names) {
+    const reported = service.getTelnetConnectionState(id).msdpReported;
+    const added = names.filter((name) => {
+      const variable = service.msdpVariables.get(name);
+      return variable && variable.reportable;
+    });
+
+    added.forEach((name) => reported.add(name));
+
+    // the current values are sent right away, the values that are not known yet are sent once they are reported
+    const values = service.getMsdpValues(id, added);
+
+    if (Object.keys(values).length > 0) {
+      await service.actions.sendMsdp({ id, variables: values });
+    }
+
+    if (added.length > 0) {
+      await service.broker.emit("telnet.msdp.report", {
+        id,
+        variables: added,
+      });
+    }
+  }
+
+  async handleUnreport(id, service, names) {
+    const reported = service.getTelnetConnectionState(id).msdpReported;
+    const removed = names.filter((name) => reported.delete(name));
+
+    if (removed.length > 0) {
+      await service.broker.emit("telnet.msdp.unreport", {
+        id,
+        variables: removed,
+      });
+    }
+  }
+
+  async handleSend(id, service, names) {
+    const values = service.getMsdpValues(
+      id,
+      names.filter((name) => {
+        const variable = service.msdpVariables.get(name);
+        return variable && variable.sendable;
+      })
+    );
+
+    if (Object.keys(values).length > 0) {
+      await service.actions.sendMsdp({ id, variables: values });
+    }
+  }
+
+  async handleReset(id, service, lists) {
+    const reported = service.getTelnetConnectionState(id).msdpReported;
+
+    if (
+      lists.includes("REPORTABLE_VARIABLES") ||
+      lists.includes("REPORTED_VARIABLES")
+    ) {
+      await this.handleUnreport(id, service, [...reported]);
+    }
+  }
+}
+
+/**
+ * The MoleculerTelnet service implements a Telnet server. This service mixes in the [MoleculerTCP](https://github.com/fugufish/moleculer-tcp) service
+ * and extends it with Telnet-specific functionality.
+ *
+ * ## Telnet Options
+ * The MoleculerTelnet service supports several Telnet options:
+ *
+ * * **TTYPE** - The TTYPE option allows the server to request the client's terminal type. If client responds with the
+ * terminal type and will be stored in the connection's metadata. The server keeps requesting terminal types until the
+ * client repeats itself, and stores the list in the `ttypes` metadata. Clients following the MTTS convention report their
+ * name, stored as `client`, followed by the terminal type and an `MTTS <n>` bitvector, which is decoded into the
+ * `capabilities` metadata. A `telnet.ttype.capabilities` event is emitted once the list is complete.
+ *
+ * * **CHARSET** - The server offers the charsets of the `charset` setting in order of preference and the client responds
+ * with the charset it will use. The charset will be stored in the connection's metadata. If the client does not respond
+ * or rejects all of them, the charset will default to ASCII. Charsets requested by the client are accepted if they are
+ * configured, translation tables are refused.
+ *
+ * * **ECHO** - The server can request that the client echo not characters. This is useful for password entry. The
+ * `enablePasswordMode` action offers WILL ECHO, and once the client agrees the server echoes nothing, or the mask
+ * character for every character typed. `disablePasswordMode` hands echoing back to the client. Whether the client agreed
+ * is stored in the connection's `serverEcho` metadata. While the server echoes outside of password mode, for example
+ * because the client asked for it with DO ECHO, the input is echoed as typed.
+ *
+ * * **NAWS** - The server can request that the client report its window size. The width and height are stored in the
+ * connection's metadata and a `telnet.naws.resize` event is emitted every time the client reports a new size.
+ *
+ * * **GMCP** - The server offers the Generic Mud Communication Protocol when the `gmcp` setting is enabled. Every message
+ * the client sends is emitted as a `telnet.gmcp.<Package.Message>` event with the `id` of the connection, the `package`
+ * and the parsed JSON `data`. The packages the client declares with `Core.Supports.Set`, `Core.Supports.Add` and
+ * `Core.Supports.Remove` are stored in the `gmcpSupports` metadata, and `sendGmcp` refuses to send any other package.
+ *
+ * * **LINEMODE** - When the `linemode` setting is enabled the server asks the client to edit lines locally and send
+ * whole lines. The modes the client confirms, or picks itself and the server acknowledges, are stored in the `linemode`
+ * metadata, and the special characters it reports with SLC in the `slc` metadata. The server agrees to the client's
+ * characters and suggests the usual control characters when the client asks for defaults. The `setLineMode` action
+ * switches a connection between local editing and character at a time mode, and can ask the client to forward partial
+ * lines on certain characters.
+ *
+ * * **NEW-ENVIRON** - When the `environ` setting is enabled the server asks the client for its environment variables,
+ * the ones listed in the setting and every user variable. The variables are stored in the `environ` metadata, the user
+ * variables in the `environUser` metadata. A `telnet.environ.set` event is emitted when the client answers and a
+ * `telnet.environ.updated` event every time it reports a change.
+ *
+ * * **SUPPRESS-GO-AHEAD** and **EOR** - The server offers to suppress go ahead and to mark the end of records when the
+ * `sga` or `eor` settings are enabled. The `sendPrompt` action sends a prompt followed by `IAC EOR` if the client agreed
+ * to EOR, `IAC GA` if go ahead is not suppressed, and nothing otherwise, so clients can tell prompts from other output.
+ * Whether the client agreed is stored in the `sgaEnabled` and `eorEnabled` metadata.
+ *
+ * * **MCCP2** and **MCCP3** - The server offers MUD Client Compression when the `mccp2` or `mccp3` settings are enabled.
+ * Once the client agrees to MCCP2, everything written to the connection is compressed with a persistent zlib stream.
+ * With MCCP3 the client compresses what it sends, which is decompressed before it is parsed. The compression state and
+ * the number of bytes before and after compression are stored in the `mccp2` and `mccp3` metadata.
+ *
+ * * **MSDP** - When the `msdp` setting is enabled the server offers the Mud Server Data Protocol, which clients use to
+ * subscribe to server variables. The service keeps a registry of the variables clients can ask for, declared in the
+ * `msdpVariables` setting or registered with the `registerMsdpVariable` action, each of them `reportable`, `sendable` or
+ * both. The client's LIST, SEND, REPORT, UNREPORT and RESET commands are answered from the registry, and the
+ * `reportMsdpVariable` action updates the value of a variable and pushes it to the connections that REPORTed it, either
+ * to all of them or, with an `id`, to a single connection. `telnet.msdp.report` and `telnet.msdp.unreport` events are
+ * emitted with the `id` of the connection and the `variables` when a client subscribes or unsubscribes, and any other
+ * variable the client sends is emitted as a `telnet.msdp.variable` event with its `name` and `value`. The `sendMsdp`
+ * action sends arbitrary variables, tables and arrays.
+ *
+ * * **MXP** - When the `mxp` setting is enabled the server offers the MUD eXtension Protocol, and whether the client
+ * agreed is stored in the `mxpEnabled` metadata. The `sendMxp` action sends text containing MXP markup, such as the
+ * links and menus built with `encodeMXPLink` and `encodeMXPSend`, to any client. Clients that agreed to MXP receive
+ * every line of it in the secure line mode, or the `open` or `locked` mode, clients that did not receive it with the
+ * markup stripped and the entities decoded, so the same text can be sent to every client.
+ *
+ * * **MSSP** - When the `mssp` setting is configured the server offers the Mud Server Status Protocol, which crawlers and
+ * MUD listings use to collect information about the server. When the client asks for it the server replies with the
+ * variables of the `mssp` setting, such as `NAME` or `CODEBASE`, merged with the variables returned by the
+ * `msspAction` action, which is called with the `id` of the connection every time, so live values such as `PLAYERS`
+ * can come from other services. Arrays are sent as multiple values and booleans as `1` or `0`. A `telnet.mssp.sent`
+ * event is emitted with the `id` of the connection once the variables were sent.
+ *
+ * ### Option Negotiation
+ * Options are negotiated using the [RFC 1143](https://tools.ietf.org/html/rfc1143) Q method. The `sendDo`, `sendDont`,
+ * `sendWill` and `sendWont` actions only send a command if it would change the state of the option, and replies from the
+ * client are checked against what was requested. A WILL, WONT, DO or DONT command is only passed on to the option
+ * handlers when it actually enables or disables the option, and options the service does not support are refused.
+ *
+ * Which options are negotiated is set by the `telnetOptions` setting. It maps option names, or codes, to the policy
+ * for the `local` side, the options the server performs, and the `remote` side, the options the client performs. An
+ * option the server should `request` is asked for when the client connects, one it should `allow` is only accepted if
+ * the client asks for it, and one it should `refuse` is declined. Options without a policy are refused. The option
+ * settings such as `ttype` or `gmcp` request their option, and `telnetOptions` takes precedence over them:
+ *
+ * ```js
+ * settings: {
+ *   telnetOptions: {
+ *     NAWS: { remote: "request" },
+ *     ECHO: { local: "allow" },
+ *     GMCP: { local: "request" },
+ *   },
+ * }
+ * ```
+ *
+ * Every negotiation the server starts on a new connection is tracked until the client answers it, including the
+ * subnegotiations that follow such as the terminal type or the charset the client picks. Once all of them are answered,
+ * or the `negotiationTimeout` runs out, a `telnet.negotiations.complete` event is emitted with the `id` of the
+ * connection, whether it `timedOut`, the options that are still `pending`, the state of every option in `options`, and
+ * the `ttype`, `client`, `capabilities`, `charset`, `width` and `height` of the connection.
+ *
+ * ### Adding Support for Additional Telnet Options
+ * Additional Telnet options can be added by extending the {@link `TelnetOptionHandler`} class and declaring the handler in
+ * the `telnetOptionHandlers` key of the service schema, either as the class itself or as `{ handler, priority }`. The
+ * handlers declared by the service and its mixins are registered when the service starts, a handler replacing a
+ * handler with the same class name, so the built in handlers can be replaced as well. When a Telnet command is received,
+ * it will be checked against the registered handlers, and every handler that matches is executed, the handlers with the
+ * highest `priority` first. A handler that returns `TelnetOptionHandler.CONSUMED` keeps the command from the handlers
+ * after it. If no handler is found, the command will be ignored.
+ *
+ * ```js
+ * class CustomCharsetHandler extends TelnetOptionHandler {
+ *   match(sequence) {
+ *     return sequence[1] === COMMANDS.SB && sequence[2] === OPTIONS.CHARSET;
+ *   }
+ *
+ *   async handle(id, service, sequence) {
+ *     // ...
+ *     return TelnetOptionHandler.CONSUMED;
+ *   }
+ * }
+ *
+ * module.exports = {
+ *   name: "telnet",
+ *   mixins: [MoleculerTelnet],
+ *   telnetOptionHandlers: [{ handler: CustomCharsetHandler, priority: 10 }],
+ * };
+ * ```
+ *
+ * Handlers can also be added and removed at runtime with the protected `registerTelnetOptionHandler` and
+ * `unregisterTelnetOptionHandler` actions.
+ *
+ * The sequences a connection sends are handled one at a time, in the order they arrive, and the data following them is
+ * only passed on once they were handled. A handler that throws, or does not finish within `handlerTimeout`
+ * milliseconds, is logged and a `telnet.handler.error` event is emitted with the `id` of the connection, the `sequence`
+ * in dot notation and the `error`, after which the next sequence is handled.
+ *
+ * ### Broadcasting Negotiations
+ * When `broadcastTelnetNegotiations` is enabled every telnet sequence a client sends is broadcast, so services on other
+ * nodes can handle options this service does not know without registering a handler. The event is named after the start
+ * of the sequence in dot notation, such as `telnet.negotiation.IAC.WILL.NAWS` or `telnet.negotiation.IAC.SB.TTYPE`, and
+ * carries the `id` of the connection, the whole `sequence` in dot notation, for example `IAC.SB.TTYPE.IS.120.116.IAC.SE`,
+ * and the raw bytes as `data`. The `extractSubData` action returns the payload of such a subnegotiation as a string.
+ *
+ * ## Commands
+ * Every two byte command the client sends, NOP, DM, BRK, IP, AO, AYT, EC, EL, GA and EOR, is emitted as a
+ * `telnet.command.<name>` event with the `id` of the connection, for example `telnet.command.ip` when the user presses
+ * Ctrl-C. AYT is answered with the `aytReply` text.
+ *
+ * ## Keepalive
+ * When `keepaliveInterval` is set the server probes every connection at that interval. With the default `timingMark`
+ * method it sends `DO TIMING-MARK`, stores the time the client took to answer in the `rtt` metadata and emits a
+ * `telnet.latency` event. A client that does not answer within `keepaliveTimeout` milliseconds is considered stale, a
+ * `telnet.connection.stale` event is emitted and the connection is closed. The `nop` method sends `IAC NOP`, which is
+ * never answered but lets the operating system detect connections that are gone.
+ *
+ * ## Abuse Protection
+ * The input of every connection is checked against a set of limits. Subnegotiations longer than
+ * `maxSubnegotiationLength` bytes are discarded without being buffered, every option may be negotiated
+ * `maxRenegotiations` times per minute, a client may send `maxInputRate` bytes per second and lines are cut off after
+ * `maxLineLength` bytes, whether line buffering is enabled or not. When a client breaks a limit a `telnet.abuse` event is
+ * emitted with the `id` of the connection, the `rule` that was broken, `subnegotiationLength`, `renegotiation`,
+ * `inputRate` or `lineLength`, its `limit` and the `action` taken, which is configured per rule in `abuseActions`:
+ *
+ * - `drop` discards the input that broke the limit.
+ * - `throttle` delays the input until it is within the limit again, along with the input the client sent after it.
+ *   Since waiting does not make a subnegotiation or a line any shorter, it drops them instead.
+ * - `disconnect` closes the connection.
+ *
+ * ## Text
+ * Text is encoded and decoded using the charset negotiated with the connection, which may be UTF-8, ISO-8859-1, ASCII or
+ * CP437. The `sendText` action encodes text before sending it, replacing characters the charset can not represent with
+ * `?`. The data passed on to `onSocketData` is decoded into the `text` parameter, characters split across packets
+ * included.
+ *
+ * ## Markup
+ * The `sendMarkup` action renders color and style markup, such as `{red}`, `{bg:blue}`, `{#ff8800}`, `{bold}` and
+ * `{reset}`, into ANSI escape sequences for the terminal of the connection. The color depth is detected from the MTTS
+ * capabilities and the terminal types the client reported, and hex colors are downgraded from truecolor to the closest
+ * of the 256 colors or of the 16 ANSI colors. Terminals without colors, such as `dumb` or `vt100`, receive the text
+ * with all markup and escape sequences stripped. Clients that did not report a terminal type get the
+ * `defaultColorDepth`. The `renderMarkup` function renders markup for a given depth.
+ *
+ * ## Line Buffering
+ * When `lineBuffering` is enabled the client's input is assembled into lines. `CR LF`, `CR NUL` and bare `CR` or `LF`
+ * end a line, backspace and DEL as well as the telnet EC and EL commands edit the line being entered. Every complete line
+ * is passed to the `onTelnetLine` action, which emits a `telnet.line` event with the `id` of the connection and the
+ * `line`. Hook `onTelnetLine` to handle lines locally. The raw input is still passed on to `onSocketData`.
+ *
+ * ## Settings
+ * The MoleculerTelnet service mixes in the [MoleculerTCP](https://github.com/fugufish/moleculer-tcp) service. It supports
+ * all the settings of the MoleculerTCP service. In addition, it supports the following settings:
+ *
+ * | Property | Type | Default | Environment Variable | Description |
+ * | -------- | ---- | ------- | -------------------- | ----------- |
+ * | `ttype` | `Boolean` | `true` | N/A | Whether to enable the TTYPE option. |
+ * | `charset` | `String \| Array<String>` | `null` | N/A | The charsets to offer, in order of preference. If not set this will default to ASCII. |
+ * | `naws` | `Boolean` | `null` | N/A | Whether to request the client's window size using the NAWS option. |
+ * | `sga` | `Boolean` | `null` | N/A | Whether to offer the SUPPRESS-GO-AHEAD option. |
+ * | `eor` | `Boolean` | `null` | N/A | Whether to offer the EOR option to mark prompts. |
+ * | `gmcp` | `Boolean` | `null` | N/A | Whether to offer the GMCP option. |
+ * | `linemode` | `Boolean \| Object` | `null` | N/A | Whether to negotiate LINEMODE, an object sets the initial `edit` and `trapsig` modes. |
+ * | `environ` | `Boolean \| Array<String>` | `null` | N/A | The environment variables to request with NEW-ENVIRON, `true` requests `USER`, `LANG`, `IPADDRESS` and `SYSTEMTYPE`. |
+ * | `mccp2` | `Boolean` | `null` | N/A | Whether to offer to compress output with MCCP2. |
+ * | `mccp3` | `Boolean` | `null` | N/A | Whether to offer to accept compressed input with MCCP3. |
+ * | `lineBuffering` | `Boolean` | `null` | N/A | Whether to assemble the client's input into lines. |
+ * | `maxLineLength` | `Number` | `1024` | N/A | The maximum length of a line in bytes, longer lines are truncated. |
+ * | `keepaliveInterval` | `Number` | `null` | N/A | How often to probe connections in milliseconds, probing is disabled if not set. |
+ * | `keepaliveTimeout` | `Number` | `30000` | N/A | How long a client has to answer a probe in milliseconds before it is closed. |
+ * | `keepaliveMethod` | `String` | `timingMark` | N/A | How to probe connections, either `timingMark` or `nop`. |
+ * | `broadcastTelnetNegotiations` | `Boolean` | `null` | N/A | Whether to broadcast every telnet sequence a client sends. |
+ * | `telnetOptions` | `Object` | `null` | N/A | The negotiation policy of every option, see Option Negotiation. |
+ * | `negotiationTimeout` | `Number` | `5000` | N/A | How long to wait for the client to answer the initial negotiations in milliseconds. |
+ * | `aytReply` | `String` | `[Yes]` | N/A | The text sent in reply to AYT, nothing is sent if not set. |
+ * | `maxSubnegotiationLength` | `Number` | `16384` | N/A | The maximum length of a subnegotiation payload in bytes. |
+ * | `maxRenegotiations` | `Number` | `20` | N/A | How often a client may negotiate each option per minute. |
+ * | `maxInputRate` | `Number` | `null` | N/A | How many bytes a client may send per second, unlimited if not set. |
+ * | `abuseActions` | `Object` | see Abuse Protection | N/A | The action taken per broken limit, `drop`, `throttle` or `disconnect`. |
+ * | `msdp` | `Boolean` | `null` | N/A | Whether to offer the MSDP option. |
+ * | `msdpVariables` | `Object` | `{}` | N/A | The MSDP variables clients can REPORT or SEND, keyed by name, each with `reportable`, `sendable` and `value`. |
+ * | `defaultColorDepth` | `String` | `16` | N/A | The color depth markup is rendered in for clients that did not report a terminal type, `truecolor`, `256`, `16` or `none`. |
+ * | `mxp` | `Boolean` | `null` | N/A | Whether to offer the MXP option. |
+ * | `mssp` | `Boolean \| Object` | `null` | N/A | The MSSP variables to reply with, offers MSSP if set. |
+ * | `msspAction` | `String` | `null` | N/A | The action called for the live MSSP variables. |
+ * | `handlerTimeout` | `Number` | `5000` | N/A | How long the handlers of a telnet sequence may take in milliseconds before the next sequence is handled. |
+ *
+ * ## Actions
+ * The MoleculerTelnet service mixes in the [MoleculerTCP](https://github.com/fugufish/moleculer-tcp) service. It supports
+ * all the actions of the MoleculerTCP service. In addition, it supports the following actions, which reject with an
+ * `ERR_UNKNOWN_CONNECTION` error when called with the `id` of a connection that does not exist or already closed:
+ *
+ * | Name | Parameters | Visibility |Description |
+ * | ---- | ---------- | ---------- | ---------- |
+ * | `sendTelnetSequence` | `id: string`, `sequence: Array<number>` | public | Sends a Telnet sequence to the client. |
+ * | `sendDo` | `id: string`, `option: number` | public | Sends a DO Telnet command to the client. |
+ * | `sendDont` | `id: string`, `option: number` | public | Sends a DONT Telnet command to the client. |
+ * | `sendWill` | `id: string`, `option: number` | public | Sends a WILL Telnet command to the client. |
+ * | `sendWont` | `id: string`, `option: number` | public | Sends a WONT Telnet command to the client. |
+ * | `sendGmcp` | `id: string`, `package: string`, `data: any` | public | Sends a GMCP message, returns false if the client does not support the package. |
+ * | `sendMsdp` | `id: string`, `variables: Object` | public | Sends MSDP variables, returns false if the client does not support MSDP. |
+ * | `registerMsdpVariable` | `name: string`, `reportable: boolean`, `sendable: boolean`, `value: any` | public | Adds a variable to the MSDP registry. |
+ * | `reportMsdpVariable` | `id: string`, `name: string`, `value: any` | public | Updates an MSDP variable and pushes it to the connections that reported it, returns the number of connections. |
+ * | `sendMxp` | `id: string`, `text: string`, `mode: string` | public | Sends text with MXP markup, stripped if the client does not support MXP, returns false if it was stripped. |
+ * | `sendMarkup` | `id: string`, `text: string` | public | Sends text with color markup rendered for the connection's terminal. |
+ * | `sendText` | `id: string`, `text: string` | public | Sends text encoded in the connection's charset. |
+ * | `sendPrompt` | `id: string`, `text: string` | public | Sends a prompt followed by `IAC EOR` or `IAC GA`. |
+ * | `setLineMode` | `id: string`, `edit: boolean`, `trapsig: boolean`, `forwardMask: Array<number>` | public | Sets the LINEMODE modes of the connection, returns false if the client does not support LINEMODE. |
+ * | `enablePasswordMode` | `id: string`, `mask: string` | public | Asks the client to stop echoing and echoes `mask` instead. |
+ * | `disablePasswordMode` | `id: string` | public | Asks the client to echo locally again. |
+ * | `extractSubData` | `data: string`, `encoding: string` | public | Returns the payload of a subnegotiation in dot notation. |
+ * | `getTelnetOptionState` | `id: string`, `option: number` | public | Returns the negotiation state of an option. |
+ * | `registerTelnetOptionHandler` | `handler: TelnetOptionHandler`, `priority: number` | protected | Registers a Telnet option handler. |
+ * | `unregisterTelnetOptionHandler` | `handler: TelnetOptionHandler \| string` | protected | Removes a Telnet option handler by class or name, returns false if it was not registered. |
+ */
+const MoleculerTelnet = {
+  actions: {
+    handleTelnetCommand: {
+      visibility: "private",
+      params: {
+        id: "string",
+        command: "any",
+      },
+      async handler(ctx) {
+        const { id, command } = ctx.params;
+
+        // TIMING-MARK is not an option that stays enabled, every command is answered on its own
+        if (
+          command.length === 3 &&
+          command[1] >= COMMANDS.WILL &&
+          command[1] <= COMMANDS.DONT &&
+          command[2] !== OPTIONS.TIMING_MARK
+        ) {
+          const side =
+            command[1] === COMMANDS.WILL || command[1] === COMMANDS.WONT
+              ? "remote"
+              : "local";
+          const result = this.getTelnetConnectionState(id).negotiator.receive(
+            command[1],
+            command[2],
+            this.acceptsTelnetOption(id, command[2], side)
+          );
+
+          if (result.error) {
+            this.logger.warn(
+              "connection: " +
+                id +
+                " option " +
+                command[2] +
+                ": " +
+                result.error
+            );
+          }
+
+          if (result.reply !== null) {
+            await this.actions.sendTelnetSequence({
+              id,
+              sequence: [COMMANDS.IAC, result.reply, command[2]],
+            });
+          }
+
+          // the command was a duplicate, a refused offer or an unexpected reply, so there is nothing to handle
+          if (!result.changed) {
+            return this.settleTelnetNegotiation(id, command[2]);
+          }
+        }
+
+        const registrations = Object.values(this.optionHandlers).sort(
+          (a, b) => b.priority - a.priority || a.order - b.order
+        );
+
+        for (let { handler } of registrations) {
+          if (
+            handler.match(command) &&
+            (await handler.handle(id, this, command)) ===
+              TelnetOptionHandler.CONSUMED
+          ) {
+            break;
+          }
+        }
+
+        if (command.length === 3) {
+          this.settleTelnetNegotiation(id, command[2]);
+        }
+      },
+    },
+
+    disablePasswordMode: {
+      params: {
+        id: "string",
+      },
+      async handler(ctx) {
+        const { id } = ctx.params;
+
+        this.getTelnetConnectionState(id).passwordMask = null;
+
+        await this.actions.setMetadata({
+          id,
+          key: "passwordMode",
+          value: false,
+        });
+
+        // give echoing back to the client
+        return this.actions.sendWont({ id, option: OPTIONS.ECHO });
+      },
+    },
+
+    enablePasswordMode: {
+      params: {
+        id: "string",
+        mask: { type: "string", optional: true, default: "" },
+      },
+      async handler(ctx) {
+        const { id, mask } = ctx.params;
+
+        this.getTelnetConnectionState(id).passwordMask = mask;
+
+        await this.actions.setMetadata({
+          id,
+          key: "passwordMode",
+          value: true,
+        });
+
+        // offer to echo, a client that agrees stops echoing locally and the server echoes only the mask
+        return this.actions.sendWill({ id, option: OPTIONS.ECHO });
+      },
+    },
+
+    extractSubData: {
+      params: {
+        data: "string",
+        encoding: {
+          type: "enum",
+          values: [
+            "ascii",
+            "utf8",
+            "utf-8",
+            "utf16le",
+            "ucs2",
+            "latin1",
+            "binary",
+            "base64",
+            "base64url",
+            "hex",
+          ],
+          optional: true,
+          default: "latin1",
+        },
+      },
+      handler(ctx) {
+        let sequence;
+
+        try {
+          sequence = decodeDotNotation(ctx.params.data);
+        } catch (err) {
+          throw new Errors.MoleculerClientError(
+            err.message,
+            422,
+            "ERR_INVALID_SEQUENCE"
+          );
+        }
+
+        if (
+          sequence[1] !== COMMANDS.SB ||
+          sequence[sequence.length - 2] !== COMMANDS.IAC ||
+          sequence[sequence.length - 1] !== COMMANDS.SE
+        ) {
+          throw new Errors.MoleculerClientError(
+            "not a subnegotiation: " + ctx.params.data,
+            422,
+            "ERR_INVALID_SEQUENCE"
+          );
+        }
+
+        let data = unescapeSubnegotiation(sequence);
+
+        // the command that starts the payload of known options, such as TTYPE IS, is not part of the data
+        if (SUBNEGOTIATION_COMMANDS[sequence[2]]) {
+          data = data.slice(1);
+        }
+
+        return Buffer.from(data).toString(ctx.params.encoding);
+      },
+    },
+
+    getTelnetOptionState: {
+      params: {
+        id: "string",
+        option: "number",
+      },
+      handler(ctx) {
+        return {
+          ...this.getTelnetConnectionState(ctx.params.id).negotiator.getState(
+            ctx.params.option
+          ),
+        };
+      },
+    },
+
+    onServerConnection: {
+      hooks: {
+        before(ctx) {
+          // the state of a connection is only ever created here, and deleted once the connection closes
+          this.createTelnetConnectionState(ctx.params.id);
+        },
+        async after(ctx) {
+          const id = ctx.params.id;
+
+          // send the initial telnet commands
+          await this.actions.setMetadata({
+            id,
+            key: "charset",
+            value: "ascii",
+          });
+
+          await this.actions.setMetadata({
+            id,
+            key: "ttype",
+            value: "generic",
+          });
+
+          await this.actions.setMetadata({
+            id,
+            key: "ttypeEnabled",
+            value: false,
+          });
+
+          await this.actions.setMetadata({ id, key: "ttypes", value: [] });
+          await this.actions.setMetadata({ id, key: "client", value: null });
+          await this.actions.setMetadata({ id, key: "mtts", value: 0 });
+          await this.actions.setMetadata({
+            id,
+            key: "capabilities",
+            value: decodeMTTS(0),
+          });
+
+          await this.actions.setMetadata({
+            id,
+            key: "nawsEnabled",
+            value: false,
+          });
+
+          await this.actions.setMetadata({
+            id,
+            key: "serverEcho",
+            value: false,
+          });
+
+          await this.actions.setMetadata({
+            id,
+            key: "sgaEnabled",
+            value: false,
+          });
+
+          await this.actions.setMetadata({
+            id,
+            key: "eorEnabled",
+            value: false,
+          });
+
+          await this.actions.setMetadata({
+            id,
+            key: "gmcpEnabled",
+            value: false,
+          });
+
+          await this.actions.setMetadata({
+            id,
+            key: "gmcpSupports",
+            value: {},
+          });
+
+          await this.actions.setMetadata({
+            id,
+            key: "linemodeEnabled",
+            value: false,
+          });
+          await this.actions.setMetadata({
+            id,
+            key: "linemode",
+            value: {
+              edit: false,
+              trapsig: false,
+              softTab: false,
+              litEcho: false,
+            },
+          });
+          await this.actions.setMetadata({ id, key: "slc", value: {} });
+          await this.actions.setMetadata({
+            id,
+            key: "forwardMask",
+            value: null,
+          });
+
+          await this.actions.setMetadata({
+            id,
+            key: "environEnabled",
+            value: false,
+          });
+          await this.actions.setMetadata({ id, key: "environ", value: {} });
+          await this.actions.setMetadata({ id, key: "environUser", value: {} });
+
+          await this.updateCompressionMetadata(id);
+
+          await this.actions.setMetadata({
+            id,
+            key: "passwordMode",
+            value: false,
+          });
+
+          await this.actions.setMetadata({ id, key: "width", value: 80 });
+          await this.actions.setMetadata({ id, key: "height", value: 24 });
+          await this.actions.setMetadata({ id, key: "rtt", value: null });
+
+          this.startKeepalive(id);
+
+          await this.negotiateTelnetOptions(id);
+        },
+      },
+    },
+
+    onSocketData: {
+      hooks: {
+        // capture the socket data, parse the telnet commands out of it and only pass the remaining data on. If the data
+        // only contained telnet commands prevent further processing
+        async before(ctx) {
+          const state = this.getTelnetConnectionState(ctx.params.id);
+
+          // the packets of a connection are handled one at a time, so a packet held back by a limit holds back the
+          // packets after it instead of being overtaken by them
+          const handled = state.inputQueue.then(() =>
+            this.handleTelnetInput(ctx, state)
+          );
+          state.inputQueue = handled.catch(() => {});
+
+          return handled;
+        },
+        error(ctx, err) {
+          // handle the socket command error
+          if (err.message === "telnet command") {
+            this.logger.debug(
+              "connection: " +
+                ctx.params.id +
+                " received telnet command. preventing further processing"
+            );
+            return Promise.resolve();
+          }
+
+          throw err;
+        },
+      },
+    },
+
+    onSocketClose: {
+      hooks: {
+        after(ctx) {
+          const state = this.telnetConnectionState[ctx.params.id];
+
+          this.stopKeepalive(ctx.params.id);
+
+          if (state) {
+            clearTimeout(state.negotiations.timer);
+          }
+
+          for (let stream of state ? [state.mccp2, state.mccp3] : []) {
+            if (stream && !stream.ended) {
+              stream.close();
+            }
+          }
+
+          delete this.telnetConnectionState[ctx.params.id];
+        },
+      },
+    },
+
+    sendGmcp: {
+      params: {
+        id: "string",
+        package: "string",
+        data: { type: "any", optional: true },
+      },
+      async handler(ctx) {
+        const { id, data } = ctx.params;
+        const name = ctx.params.package;
+        const state = this.getTelnetConnectionState(id);
+
+        if (!state.negotiator.isEnabled(OPTIONS.GMCP, "local")) {
+          return false;
+        }
+
+        // Core is always supported, any other package only if the client declared it or one of its parents
+        const segments = name.toLowerCase().split(".");
+        const supported =
+          segments[0] === "core" ||
+          segments.some(
+            (segment, i) =>
+              state.gmcpSupports[segments.slice(0, i + 1).join(".")]
+          );
+
+        if (!supported) {
+          this.logger.debug(
+            "connection: " + id + " does not support GMCP package " + name
+          );
+          return false;
+        }
+
+        const message =
+          data === undefined ? name : name + " " + JSON.stringify(data);
+
+        await this.actions.sendTelnetSequence({
+          id,
+          sequence: [
+            COMMANDS.IAC,
+            COMMANDS.SB,
+            OPTIONS.GMCP,
+            ...Buffer.from(message, "utf8"),
+            COMMANDS.IAC,
+            COMMANDS.SE,
+          ],
+        });
+
+        return true;
+      },
+    },
+
+    sendMsdp: {
+      params: {
+        id: "string",
+        variables: "object",
+      },
+      async handler(ctx) {
+        const { id, variables } = ctx.params;
+
+        if (
+          !this.getTelnetConnectionState(id).negotiator.isEnabled(
+            OPTIONS.MSDP,
+            "local"
+          )
+        ) {
+          return false;
+        }
+
+        await this.actions.sendTelnetSequence({
+          id,
+          sequence: [
+            COMMANDS.IAC,
+            COMMANDS.SB,
+            OPTIONS.MSDP,
+            ...encodeMSDP(variables),
+            COMMANDS.IAC,
+            COMMANDS.SE,
+          ],
+        });
+
+        return true;
+      },
+    },
+
+    registerMsdpVariable: {
+      params: {
+        name: "string",
+        reportable: { type: "boolean", optional: true },
+        sendable: { type: "boolean", optional: true },
+        value: { type: "any", optional: true },
+      },
+      handler(ctx) {
+        const { name, reportable = true, sendable = true, value } = ctx.params;
+        const existing = this.msdpVariables.get(name);
+
+        this.msdpVariables.set(name, {
+          name,
+          reportable,
+          sendable,
+          value: value !== undefined || !existing ? value : existing.value,
+        });
+      },
+    },
+
+    reportMsdpVariable: {
+      params: {
+        id: { type: "string", optional: true },
+        name: "string",
+        value: "any",
+      },
+      async handler(ctx) {
+        const { id, name, value } = ctx.params;
+        const variable = this.msdpVariables.get(name);
+
+        if (!variable || !variable.reportable) {
+          throw new Errors.MoleculerClientError(
+            name + " is not a reportable MSDP variable",
+            422,
+            "ERR_INVALID_MSDP_VARIABLE"
+          );
+        }
+
+        let ids;
+
+        // a value reported for a single connection takes precedence over the value reported for all of them
+        if (id) {
+          const state = this.telnetConnectionState[id];
+
+          if (!state) {
+            return 0;
+          }
+
+          state.msdpValues[name] = value;
+          ids = state.msdpReported.has(name) ? [id] : [];
+        } else {
+          variable.value = value;
+          ids = Object.keys(this.telnetConnectionState).filter((id) => {
+            const state = this.telnetConnectionState[id];
+
+            return (
+              state.msdpReported.has(name) &&
+              !Object.prototype.hasOwnProperty.call(state.msdpValues, name)
+            );
+          });
+        }
+
+        let sent = 0;
+
+        for (let id of ids) {
+          if (
+            await this.actions.sendMsdp({ id, variables: { [name]: value } })
+          ) {
+            sent++;
+          }
+        }
+
+        return sent;
+      },
+    },
+
+    sendMxp: {
+      params: {
+        id: "string",
+        text: "string",
+        mode: {
+          type: "enum",
+          values: ["open", "secure", "locked"],
+          optional: true,
+        },
+      },
+      async handler(ctx) {
+        const { id, text, mode = "secure" } = ctx.params;
+
+        if (
+          !this.getTelnetConnectionState(id).negotiator.isEnabled(
+            OPTIONS.MXP,
+            "local"
+          )
+        ) {
+          await this.actions.sendText({ id, text: stripMXP(text) });
+          return false;
+        }
+
+        // a line mode only lasts until the end of the line, so every line that has any text starts with it
+        await this.actions.sendText({
+          id,
+          text: text.replace(/^(?=.)/gm, encodeMXPMode(mode)),
+        });
+
+        return true;
+      },
+    },
+
+    sendMarkup: {
+      params: {
+        id: "string",
+        text: "string",
+      },
+      async handler(ctx) {
+        const { id, text } = ctx.params;
+
+        return this.actions.sendText({
+          id,
+          text: renderMarkup(text, await this.getTelnetColorDepth(id)),
+        });
+      },
+    },
+
+    sendPrompt: {
+      params: {
+        id: "string",
+        text: "string",
+      },
+      async handler(ctx) {
+        const { id, text } = ctx.params;
+        const negotiator = this.getTelnetConnectionState(id).negotiator;
+
+        await this.actions.sendText({ id, text });
+
+        // EOR marks the prompt if the client agreed to it, otherwise GA does unless go ahead is suppressed
+        if (negotiator.isEnabled(OPTIONS.EOR, "local")) {
+          return this.actions.sendTelnetSequence({
+            id,
+            sequence: [COMMANDS.IAC, COMMANDS.EOR],
+          });
+        }
+
+        if (!negotiator.isEnabled(OPTIONS.SUPPRESS_GO_AHEAD, "local")) {
+          return this.actions.sendTelnetSequence({
+            id,
+            sequence: [COMMANDS.IAC, COMMANDS.GA],
+          });
+        }
+      },
+    },
+
+    sendText: {
+      params: {
+        id: "string",
+        text: "string",
+      },
+      async handler(ctx) {
+        const { id, text } = ctx.params;
+        const data = [];
+
+        // a 255 byte in the data has to be escaped so the client does not take it for a command
+        for (let byte of encodeText(
+          text,
+          this.getTelnetConnectionState(id).charset
+        )) {
+          data.push(byte);
+
+          if (byte === COMMANDS.IAC) {
+            data.push(byte);
+          }
+        }
+
+        return this.actions.socketWrite({ id, data: Buffer.from(data) });
+      },
+    },
+
+    setLineMode: {
+      params: {
+        id: "string",
+        edit: "boolean",
+        trapsig: { type: "boolean", optional: true, default: false },
+        forwardMask: {
+          type: "array",
+          items: "number",
+          optional: true,
+        },
+      },
+      async handler(ctx) {
+        const { id, edit, trapsig, forwardMask } = ctx.params;
+        const state = this.getTelnetConnectionState(id);
+
+        if (!state.negotiator.isEnabled(OPTIONS.LINEMODE, "remote")) {
+          return false;
+        }
+
+        await this.actions.sendTelnetSequence({
+          id,
+          sequence: [
+            COMMANDS.IAC,
+            COMMANDS.SB,
+            OPTIONS.LINEMODE,
+            LINEMODE.MODE,
+            (edit ? LINEMODE.EDIT : 0) | (trapsig ? LINEMODE.TRAPSIG : 0),
+            COMMANDS.IAC,
+            COMMANDS.SE,
+          ],
+        });
+
+        if (forwardMask) {
+          // stored once the client agrees with WILL FORWARDMASK
+          state.forwardMaskRequest = forwardMask;
+
+          await this.actions.sendTelnetSequence({
+            id,
+            sequence: [
+              COMMANDS.IAC,
+              COMMANDS.SB,
+              OPTIONS.LINEMODE,
+              COMMANDS.DO,
+              LINEMODE.FORWARDMASK,
+              ...encodeForwardMask(forwardMask),
+              COMMANDS.IAC,
+              COMMANDS.SE,
+            ],
+          });
+        }
+
+        return true;
+      },
+    },
+
+    socketWrite: {
+      hooks: {
+        // compress everything written once MCCP2 has started
+        async before(ctx) {
+          const { id, data } = ctx.params;
+          const state = this.telnetConnectionState[id];
+
+          if (!state || !state.mccp2 || state.mccp2.ended) {
+            return;
+          }
+
+          let result;
+
+          try {
+            result = await state.mccp2.write(Buffer.from(data));
+          } catch (err) {
+            this.logger.error(
+              "connection: " + id + " output compression failed, closing",
+              err
+            );
+            await this.actions.socketEnd({ id });
+            throw err;
+          }
+
+          // data written after the compressed stream ended is sent as is
+          ctx.params.data = result.rest
+            ? Buffer.concat([result.data, result.rest])
+            : result.data;
+
+          await this.updateCompressionMetadata(id);
+        },
+      },
+    },
+
+    setMetadata: {
+      hooks: {
+        after(ctx, res) {
+          // keep the text decoder in line with the charset negotiated for the connection
+          if (ctx.params.key === "charset") {
+            const state = this.telnetConnectionState[ctx.params.id];
+
+            // the connection closed or the charset can not be decoded
+            if (!state || !isSupportedCharset(ctx.params.value)) {
+              return res;
+            }
+
+            state.charset = ctx.params.value;
+            state.decoder = new TelnetTextDecoder(ctx.params.value);
+          }
+
+          return res;
+        },
+      },
+    },
+
+    onTelnetLine: {
+      params: {
+        id: "string",
+        line: "string",
+      },
+      visibility: "private",
+      handler(ctx) {
+        return ctx.emit("telnet.line", {
+          id: ctx.params.id,
+          line: ctx.params.line,
+        });
+      },
+    },
+
+    onSocketTelnetNegotiationsComplete: {
+      params: {
+        id: "string",
+        timedOut: { type: "boolean", optional: true, default: false },
+      },
+      visibility: "private",
+      async handler(ctx) {
+        const { id, timedOut } = ctx.params;
+        const state = this.getTelnetConnectionState(id);
+        const options = {};
+
+        for (let name of Object.keys(OPTIONS)) {
+          options[name] = {
+            local: state.negotiator.isEnabled(OPTIONS[name], "local"),
+            remote: state.negotiator.isEnabled(OPTIONS[name], "remote"),
+          };
+        }
+
+        const summary = {
+          id,
+          timedOut,
+          // the options the client did not answer in time
+          pending: [...state.negotiations.pending.keys()].map(getOptionName),
+          options,
+        };
+
+        for (let key of [
+          "ttype",
+          "client",
+          "capabilities",
+          "charset",
+          "width",
+          "height",
+        ]) {
+          summary[key] = await this.actions.getMetadata({ id, key });
+        }
+
+        return ctx.emit("telnet.negotiations.complete", summary);
+      },
+    },
+
+    registerTelnetOptionHandler: {
+      params: {
+        handler: "any",
+        priority: { type: "number", optional: true },
+      },
+      visibility: "protected",
+      handler(ctx) {
+        const { handler } = ctx.params;
+
+        // raise an error if the handler is not a descendent of TelnetOptionHandler
+        if (
+          typeof handler !== "function" ||
+          !(handler.prototype instanceof TelnetOptionHandler)
+        ) {
+          throw new Errors.MoleculerError(
+            "handler must be a TelnetOptionHandler, got " + handler,
+            500,
+            "ERR_INVALID_HANDLER"
+          );
+        }
+
+        const priority =
+          ctx.params.priority !== undefined
+            ? ctx.params.priority
+            : handler.priority;
+
+        // a handler replacing one with the same name keeps its place in the registration order
+        const existing = this.optionHandlers[handler.name];
+        this.optionHandlers[handler.name] = {
+          handler: new handler(),
+          priority,
+          order: existing ? existing.order : this.optionHandlerCount++,
+        };
+        this.logger.info(
+          "registered telnet option handler: " +
+            handler.name +
+            " (priority " +
+            priority +
+            ")"
+        );
+      },
+    },
+
+    unregisterTelnetOptionHandler: {
+      params: {
+        handler: "any",
+      },
+      visibility: "protected",
+      handler(ctx) {
+        const { handler } = ctx.params;
+        const name = typeof handler === "function" ? handler.name : handler;
+
+        if (!this.optionHandlers[name]) {
+          return false;
+        }
+
+        delete this.optionHandlers[name];
+        this.logger.info("unregistered telnet option handler: " + name);
+
+        return true;
+      },
+    },
+
+    sendDo: {
+      params: {
+        id: "string",
+        option: "number",
+      },
+      async handler(ctx) {
+        const command = this.getTelnetConnectionState(
+          ctx.params.id
+        ).negotiator.requestEnable(ctx.params.option, "remote");
+
+        // the option is already in, or on its way to, the requested state
+        if (command === null) {
+          return;
+        }
+
+        this.trackTelnetNegotiation(ctx.params.id, ctx.params.option);
+
+        return this.actions.sendTelnetSequence({
+          id: ctx.params.id,
+          sequence: [COMMANDS.IAC, command, ctx.params.option],
+        });
+      },
+    },
+
+    sendDont: {
+      params: {
+        id: "string",
+        option: "number",
+      },
+      async handler(ctx) {
+        const command = this.getTelnetConnectionState(
+          ctx.params.id
+        ).negotiator.requestDisable(ctx.params.option, "remote");
+
+        // the option is already in, or on its way to, the requested state
+        if (command === null) {
+          return;
+        }
+
+        this.trackTelnetNegotiation(ctx.params.id, ctx.params.option);
+
+        return this.actions.sendTelnetSequence({
+          id: ctx.params.id,
+          sequence: [COMMANDS.IAC, command, ctx.params.option],
+        });
+      },
+    },
+
+    sendTelnetSequence: {
+      params: {
+        id: "string",
+        sequence: "array",
+      },
+      async handler(ctx) {
+        const data = Buffer.from(ctx.params.sequence);
+
+        return this.actions.socketWrite({ id: ctx.params.id, data });
+      },
+    },
+
+    sendWill: {
+      params: {
+        id: "string",
+        option: "number",
+      },
+      async handler(ctx) {
+        const command = this.getTelnetConnectionState(
+          ctx.params.id
+        ).negotiator.requestEnable(ctx.params.option, "local");
+
+        // the option is already in, or on its way to, the requested state
+        if (command === null) {
+          return;
+        }
+
+        this.trackTelnetNegotiation(ctx.params.id, ctx.params.option);
+
+        return this.actions.sendTelnetSequence({
+          id: ctx.params.id,
+          sequence: [COMMANDS.IAC, command, ctx.params.option],
+        });
+      },
+    },
+
+    sendWont: {
+      params: {
+        id: "string",
+        option: "number",
+      },
+      async handler(ctx) {
+        const command = this.getTelnetConnectionState(
+          ctx.params.id
+        ).negotiator.requestDisable(ctx.params.option, "local");
+
+        // the option is already in, or on its way to, the requested state
+        if (command === null) {
+          return;
+        }
+
+        this.trackTelnetNegotiation(ctx.params.id, ctx.params.option);
+
+        return this.actions.sendTelnetSequence({
+          id: ctx.params.id,
+          sequence: [COMMANDS.IAC, command, ctx.params.option],
+        });
+      },
+    },
+  },
+
+  async created() {
+    this.optionHandlers = {};
+    this.optionHandlerCount = 0;
+    this.msdpVariables = new Map();
+    this.telnetConnectionState = {};
+  },
+
+  async started() {
+    this.telnetOptionPolicy = this.buildTelnetOptionPolicy();
+
+    for (let [rule, action] of Object.entries(this.settings.abuseActions)) {
+      if (!["drop", "throttle", "disconnect"].includes(action)) {
+        throw new Errors.MoleculerError(
+          "abuse action of " +
+            rule +
+            " must be drop, throttle or disconnect, got " +
+            action,
+          500,
+          "ERR_INVALID_ABUSE_ACTION"
+        );
+      }
+    }
+
+    // the handlers of the mixins come first, so the handlers of the service itself can override them
+    for (let entry of this.collectTelnetOptionHandlers(this.originalSchema)) {
+      await this.actions.registerTelnetOptionHandler(
+        entry.handler ? entry : { handler: entry }
+      );
+    }
+
+    for (let [name, variable] of Object.entries(this.settings.msdpVariables)) {
+      await this.actions.registerMsdpVariable({ name, ...variable });
+    }
+
+    await this.logger.info("telnet settings :", this.settings);
+  },
+
+  async stopped() {
+    for (let id of Object.keys(this.telnetConnectionState)) {
+      this.stopKeepalive(id);
+      clearTimeout(this.telnetConnectionState[id].negotiations.timer);
+    }
+  },
+
+  methods: {
+    /**
+     * Creates the telnet state of a new connection. The state holds everything the service needs to track per
+     * connection that does not belong in the connection's metadata, and is deleted once the connection closes.
+     *
+     * @param id{string} The id of the connection.
+     * @returns {{parser: TelnetStreamParser, negotiator: TelnetOptionNegotiator, passwordMask: string|null, ttypes: Array<string>, gmcpSupports: Object, environ: Object, environUser: Object, slc: Object, forwardMaskRequest: Array<number>|null, keepalive: Object, negotiations: Object, mccp2: TelnetCompressionStream|null, mccp3: TelnetCompressionStream|null, charsetRequest: Array<string>|null, charset: string, decoder: TelnetTextDecoder, lineBuffer: TelnetLineBuffer|null}}
+     */
+    createTelnetConnectionState(id) {
+      this.telnetConnectionState[id] = {
+        parser: new TelnetStreamParser({
+          maxSubnegotiationLength: this.settings.maxSubnegotiationLength,
+        }),
+        negotiator: new TelnetOptionNegotiator(),
+        passwordMask: null,
+        lastInputByte: null,
+        ttypes: [],
+        gmcpSupports: {},
+        environ: {},
+        environUser: {},
+        slc: {},
+        forwardMaskRequest: null,
+        msdpReported: new Set(),
+        msdpValues: {},
+        commandQueue: Promise.resolve(),
+        input: { bytes: 0, updated: Date.now() },
+        renegotiations: {},
+        line: { length: 0, truncated: false },
+        inputQueue: Promise.resolve(),
+        keepalive: { interval: null, timeout: null, sent: null },
+        negotiations: {
+          pending: new Map(),
+          started: false,
+          complete: false,
+          timer: null,
+        },
+        mccp2: null,
+        mccp3: null,
+        charsetRequest: null,
+        charset: "ascii",
+        decoder: new TelnetTextDecoder("ascii"),
+        lineBuffer: this.settings.lineBuffering
+          ? new TelnetLineBuffer(this.settings.maxLineLength)
+          : null,
+      };
+
+      return this.telnetConnectionState[id];
+    },
+
+    /**
+     * Returns the telnet state of a connection. Throws an `ERR_UNKNOWN_CONNECTION` error if the connection does not exist
+     * or already closed, so actions called for such a connection do not bring its state back.
+     *
+     * @param id{string} The id of the connection.
+     * @returns {{parser: TelnetStreamParser, negotiator: TelnetOptionNegotiator, passwordMask: string|null, ttypes: Array<string>, gmcpSupports: Object, environ: Object, environUser: Object, slc: Object, forwardMaskRequest: Array<number>|null, keepalive: Object, negotiations: Object, mccp2: TelnetCompressionStream|null, mccp3: TelnetCompressionStream|null, charsetRequest: Array<string>|null, charset: string, decoder: TelnetTextDecoder, lineBuffer: TelnetLineBuffer|null}}
+     */
+    getTelnetConnectionState(id) {
+      const state = this.telnetConnectionState[id];
+
+      if (!state) {
+        throw new Errors.MoleculerClientError(
+          "unknown connection: " + id,
+          404,
+          "ERR_UNKNOWN_CONNECTION"
+        );
+      }
+
+      return state;
+    },
+
+    /**
+     * Returns true if the service agrees to enable an option when the client asks for it. The `local` side covers the
+     * options the client asks the server to perform with DO, the `remote` side the options the client offers to perform
+     * with WILL. Options that are not accepted are refused with DONT or WONT.
+     *
+     * @param id{string} The id of the connection.
+     * @param option{number} The option.
+     * @param side{string} Either `local` or `remote`.
+     * @returns {boolean}
+     */
+    acceptsTelnetOption(id, option, side) {
+      return this.getTelnetOptionPolicy(option, side) !== "refuse";
+    },
+
+    /**
+     * Returns the policy for one side of an option, `request`, `allow` or `refuse`. Options without a policy are
+     * refused.
+     *
+     * @param option{number} The option.
+     * @param side{string} Either `local` or `remote`.
+     * @returns {string}
+     */
+    getTelnetOptionPolicy(option, side) {
+      const policy = this.telnetOptionPolicy.get(option);
+
+      return (policy && policy[side]) || "refuse";
+    },
+
+    /**
+     * Builds the negotiation policy from the option settings, such as `ttype` or `gmcp`, and the `telnetOptions`
+     * setting, which takes precedence. The policy maps every option to what the server does for the `local` and the
+     * `remote` side, in the order the options are requested.
+     *
+     * @returns {Map<number, {local?: string, remote?: string}>}
+     */
+    buildTelnetOptionPolicy() {
+      const policy = new Map();
+      const set = (option, side, value) => {
+        policy.set(option, { ...policy.get(option), [side]: value });
+      };
+
+      if (this.settings.ttype) {
+        set(OPTIONS.TTYPE, "remote", "request");
+      }
+
+      if (this.getTelnetCharsets().length > 0) {
+        set(OPTIONS.CHARSET, "local", "request");
+        set(OPTIONS.CHARSET, "remote", "allow");
+      }
+
+      for (let [setting, option, side] of [
+        ["naws", OPTIONS.NAWS, "remote"],
+        ["linemode", OPTIONS.LINEMODE, "remote"],
+        ["environ", OPTIONS.NEW_ENVIRON, "remote"],
+        ["sga", OPTIONS.SUPPRESS_GO_AHEAD, "local"],
+        ["eor", OPTIONS.EOR, "local"],
+        ["gmcp", OPTIONS.GMCP, "local"],
+        ["msdp", OPTIONS.MSDP, "local"],
+        ["mxp", OPTIONS.MXP, "local"],
+        ["mssp", OPTIONS.MSSP, "local"],
+        ["mccp2", OPTIONS.MCCP2, "local"],
+        ["mccp3", OPTIONS.MCCP3, "local"],
+      ]) {
+        if (this.settings[setting]) {
+          set(option, side, "request");
+        }
+      }
+
+      // a client may always offer to echo
+      if (!policy.has(OPTIONS.ECHO)) {
+        set(OPTIONS.ECHO, "remote", "allow");
+      }
+
+      for (let [name, sides] of Object.entries(
+        this.settings.telnetOptions || {}
+      )) {
+        const option = /^\d+$/.test(name)
+          ? parseInt(name)
+          : OPTIONS[name.toUpperCase()];
+
+        if (option === undefined) {
+          throw new Errors.MoleculerError(
+            "unknown telnet option " + name,
+            500,
+            "ERR_INVALID_TELNET_OPTION"
+          );
+        }
+
+        for (let side of ["local", "remote"]) {
+          if (sides[side] === undefined) {
+            continue;
+          }
+
+          if (!["request", "allow", "refuse"].includes(sides[side])) {
+            throw new Errors.MoleculerError(
+              "telnet option " +
+                name +
+                " " +
+                side +
+                " must be request, allow or refuse, got " +
+                sides[side],
+              500,
+              "ERR_INVALID_TELNET_OPTION"
+            );
+          }
+
+          set(option, side, sides[side]);
+        }
+      }
+
+      return policy;
+    },
+
+    /**
+     * Collects the telnet option handlers declared in the `telnetOptionHandlers` key of the schema and its mixins. The
+     * handlers of the mixins are collected first, and the handlers of the first mixin after those of the later ones, so
+     * that a handler declared closer to the service replaces a handler with the same name declared further away.
+     *
+     * @param schema{Object} The service schema.
+     * @returns {Array<Function|{handler: Function, priority?: number}>}
+     */
+    collectTelnetOptionHandlers(schema) {
+      const handlers = [];
+
+      for (let mixin of [...(schema.mixins || [])].reverse()) {
+        handlers.push(...this.collectTelnetOptionHandlers(mixin));
+      }
+
+      return handlers.concat(schema.telnetOptionHandlers || []);
+    },
+
+    /**
+     * Splits the data received from the client into tokens, decompressing it first if the client compresses its output
+     * with MCCP3.
+     *
+     * @param id{string} The id of the connection.
+     * @param data{Buffer} The data received from the client.
+     * @returns {Promise<Array<{type: string, data?: Buffer, sequence?: Array<number>}>>}
+     */
+    async parseTelnetInput(id, data) {
+      const state = this.getTelnetConnectionState(id);
+      const tokens = [];
+      let input = data;
+
+      while (input && input.length > 0) {
+        if (state.mccp3 && !state.mccp3.ended) {
+          let result;
+
+          try {
+            result = await state.mccp3.write(input);
+          } catch (err) {
+            this.logger.error(
+              "connection: " + id + " input decompression failed, closing",
+              err
+            );
+            await this.actions.socketEnd({ id });
+            return tokens;
+          }
+
+          input = result.data;
+
+          await this.updateCompressionMetadata(id);
+
+          // the client ended its compressed stream, what follows it is not compressed
+          if (result.rest) {
+            tokens.push(...state.parser.parse(input));
+            input = result.rest;
+            continue;
+          }
+        }
+
+        const parsed = state.parser.parse(input);
+        input = null;
+
+        for (let token of parsed) {
+          if (token.type !== "compressed") {
+            tokens.push(token);
+            continue;
+          }
+
+          // only decompress if MCCP3 was actually agreed to
+          if (state.negotiator.isEnabled(OPTIONS.MCCP3, "local")) {
+            state.mccp3 = TelnetCompressionStream.inflate();
+            await this.updateCompressionMetadata(id);
+            await this.broker.emit("telnet.mccp3.enabled", { id });
+          }
+
+          input = token.data;
+        }
+      }
+
+      return tokens;
+    },
+
+    /**
+     * Ends the MCCP2 compressed stream of a connection, output is sent uncompressed afterwards.
+     *
+     * @param id{string} The id of the connection.
+     * @returns {Promise<void>}
+     */
+    async stopOutputCompression(id) {
+      const mccp2 = this.getTelnetConnectionState(id).mccp2;
+
+      if (!mccp2 || mccp2.ended) {
+        return;
+      }
+
+      // the next write completes the stream, this one if nothing else is written in the meantime
+      mccp2.end();
+
+      await this.actions.socketWrite({ id, data: Buffer.alloc(0) });
+    },
+
+    /**
+     * Stores the compression state of a connection in the `mccp2` and `mccp3` metadata. `uncompressed` and `compressed`
+     * are the number of bytes before and after compression.
+     *
+     * @param id{string} The id of the connection.
+     * @returns {Promise<void>}
+     */
+    async updateCompressionMetadata(id) {
+      const state = this.getTelnetConnectionState(id);
+
+      for (let key of ["mccp2", "mccp3"]) {
+        const stream = state[key];
+        const deflate = key === "mccp2";
+
+        await this.actions.setMetadata({
+          id,
+          key,
+          value: {
+            active: !!stream && !stream.ended,
+            uncompressed: stream
+              ? deflate
+                ? stream.bytesIn
+                : stream.bytesOut
+              : 0,
+            compressed: stream
+              ? deflate
+                ? stream.bytesOut
+                : stream.bytesIn
+              : 0,
+          },
+        });
+      }
+    },
+
+    /**
+     * Handles a packet of data received from a connection. The telnet commands are parsed out of it and queued, and the
+     * remaining data is checked against the abuse limits and assembled into lines before it is passed on.
+     *
+     * @param ctx{Context} The context of the onSocketData action.
+     * @param state{Object} The state of the connection when the packet was received.
+     * @returns {Promise<void>} Rejects with a "telnet command" error if the data should not be processed any further.
+     */
+    async handleTelnetInput(ctx, state) {
+      let { id, data } = ctx.params;
+
+      const payload = [];
+      const lines = [];
+
+      // the connection closed while the packet was waiting
+      if (this.telnetConnectionState[id] !== state) {
+        throw new Error("telnet command");
+      }
+
+      const rateAction = await this.checkTelnetInputRate(id, data.length);
+      if (rateAction === "drop" || rateAction === "disconnect") {
+        throw new Error("telnet command");
+      }
+
+      for (let token of await this.parseTelnetInput(id, data)) {
+        if (token.type === "overflow") {
+          const action = await this.reportTelnetAbuse(
+            id,
+            "subnegotiationLength",
+            this.settings.maxSubnegotiationLength
+          );
+
+          if (action === "disconnect") {
+            throw new Error("telnet command");
+          }
+        } else if (token.type === "command") {
+          const action = await this.checkTelnetRenegotiation(
+            id,
+            token.sequence
+          );
+
+          // the connection closed while the sequence was throttled
+          if (
+            action === "disconnect" ||
+            this.telnetConnectionState[id] !== state
+          ) {
+            throw new Error("telnet command");
+          } else if (action === "drop") {
+            continue;
+          }
+
+          if (this.settings.broadcastTelnetNegotiations) {
+            this.broadcastTelnetNegotiation(id, token.sequence);
+          }
+
+          this.queueTelnetCommand(id, token.sequence);
+
+          if (state.lineBuffer && token.sequence[1] === COMMANDS.EC) {
+            state.lineBuffer.eraseCharacter();
+          } else if (state.lineBuffer && token.sequence[1] === COMMANDS.EL) {
+            state.lineBuffer.eraseLine();
+          }
+        } else {
+          const { data: text, action } = await this.checkTelnetLineLength(
+            id,
+            token.data
+          );
+
+          if (action === "disconnect") {
+            throw new Error("telnet command");
+          } else if (text.length === 0) {
+            continue;
+          }
+
+          payload.push(text);
+
+          if (state.lineBuffer) {
+            lines.push(...state.lineBuffer.push(text));
+          }
+        }
+      }
+
+      // the data after the commands is only passed on once the commands before it were handled
+      await state.commandQueue;
+
+      for (let line of lines) {
+        await this.actions.onTelnetLine({
+          id,
+          line: new TelnetTextDecoder(state.charset).write(line),
+        });
+      }
+
+      if (payload.length === 0) {
+        // prevent further processing
+        throw new Error("telnet command");
+      }
+
+      ctx.params.data = Buffer.concat(payload);
+      ctx.params.text = state.decoder.write(ctx.params.data);
+
+      await this.echoTelnetInput(id, ctx.params.data);
+    },
+
+    /**
+     * Queues a telnet sequence received from a connection to be handled after the sequences received before it, so the
+     * handlers of a connection always run one at a time and in the order the client sent the sequences.
+     *
+     * @param id{string} The id of the connection.
+     * @param sequence{Array<number>} The telnet sequence.
+     * @returns {Promise<void>} Resolves once the sequence was handled.
+     */
+    queueTelnetCommand(id, sequence) {
+      const state = this.getTelnetConnectionState(id);
+
+      state.commandQueue = state.commandQueue.then(() => {
+        // the connection closed while the sequence was waiting
+        if (this.telnetConnectionState[id] !== state) {
+          return;
+        }
+
+        return this.runTelnetCommand(id, sequence);
+      });
+
+      return state.commandQueue;
+    },
+
+    /**
+     * Handles a telnet sequence, giving up on the handlers after `handlerTimeout` milliseconds. A failing or stalled
+     * handler is logged and a `telnet.handler.error` event is emitted instead of rejecting, so the sequences queued after
+     * it are still handled.
+     *
+     * @param id{string} The id of the connection.
+     * @param sequence{Array<number>} The telnet sequence.
+     * @returns {Promise<void>}
+     */
+    async runTelnetCommand(id, sequence) {
+      let timer = null;
+
+      try {
+        await Promise.race([
+          this.actions.handleTelnetCommand({ id, command: sequence }),
+          new Promise((resolve, reject) => {
+            if (this.settings.handlerTimeout) {
+              timer = setTimeout(
+                () =>
+                  reject(
+                    new Errors.MoleculerError(
+                      "telnet handler timed out after " +
+                        this.settings.handlerTimeout +
+                        "ms",
+                      504,
+                      "ERR_HANDLER_TIMEOUT"
+                    )
+                  ),
+                this.settings.handlerTimeout
+              );
+            }
+          }),
+        ]);
+      } catch (err) {
+        const notation = encodeDotNotation(sequence);
+
+        this.logger.error(
+          "connection: " + id + " failed to handle " + notation + ":",
+          err
+        );
+
+        await this.broker.emit("telnet.handler.error", {
+          id,
+          sequence: notation,
+          error: { message: err.message, code: err.code, type: err.type },
+        });
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+
+    /**
+     * Reports a connection that broke one of the abuse limits with a `telnet.abuse` event and returns the action
+     * configured for the rule in `abuseActions`. If the action is `disconnect` the connection is closed right away.
+     *
+     * @param id{string} The id of the connection.
+     * @param rule{string} The rule that was broken, `subnegotiationLength`, `renegotiation`, `inputRate` or `lineLength`.
+     * @param limit{number} The limit of the rule.
+     * @returns {Promise<string>} `drop`, `throttle` or `disconnect`.
+     */
+    async reportTelnetAbuse(id, rule, limit) {
+      const action = this.settings.abuseActions[rule];
+
+      this.logger.warn(
+        "connection: " +
+          id +
+          " broke the " +
+          rule +
+          " limit of " +
+          limit +
+          ", action: " +
+          action
+      );
+
+      await this.broker.emit("telnet.abuse", { id, rule, limit, action });
+
+      if (action === "disconnect") {
+        await this.actions.socketEnd({ id });
+      }
+
+      return action;
+    },
+
+    /**
+     * Checks the data a connection sent against `maxInputRate`. The bytes received drain at the allowed rate, so up to a
+     * second's worth of data may arrive at once. Data that is throttled is delayed until it fits the rate, data that is
+     * dropped does not count against the rate.
+     *
+     * @param id{string} The id of the connection.
+     * @param length{number} The number of bytes received.
+     * @returns {Promise<string|null>} The action taken, or null if the data is within the limit.
+     */
+    async checkTelnetInputRate(id, length) {
+      const limit = this.settings.maxInputRate;
+
+      if (!limit) {
+        return null;
+      }
+
+      const state = this.getTelnetConnectionState(id);
+      const input = state.input;
+      const now = Date.now();
+
+      input.bytes =
+        Math.max(0, input.bytes - ((now - input.updated) * limit) / 1000) +
+        length;
+      input.updated = now;
+
+      if (input.bytes <= limit) {
+        return null;
+      }
+
+      const delay = ((input.bytes - limit) * 1000) / limit;
+      const action = await this.reportTelnetAbuse(id, "inputRate", limit);
+
+      if (action === "throttle") {
+        await new Promise((resolve) => setTimeout(resolve, delay));
+
+        // the connection closed while the data was throttled
+        if (this.telnetConnectionState[id] !== state) {
+          return "drop";
+        }
+      } else {
+        input.bytes -= length;
+      }
+
+      return action;
+    },
+
+    /**
+     * Checks the data a connection sent against `maxLineLength`, counting the bytes since the last line ending whether
+     * line buffering is enabled or not. Every line that grows too long is reported once and the bytes beyond the limit
+     * are removed from the data.
+     *
+     * @param id{string} The id of the connection.
+     * @param data{Buffer} The data received, without telnet commands.
+     * @returns {Promise<{data: Buffer, action: string|null}>} The data within the limit and the action taken, or null if
+     * the data is within the limit.
+     */
+    async checkTelnetLineLength(id, data) {
+      const limit = this.settings.maxLineLength;
+
+      if (!limit) {
+        return { data, action: null };
+      }
+
+      const line = this.getTelnetConnectionState(id).line;
+      const kept = [];
+      let truncated = false;
+      let broken = false;
+
+      for (let byte of data) {
+        if (byte === 0x0d || byte === 0x0a) {
+          line.length = 0;
+          line.truncated = false;
+        } else if (line.length < limit) {
+          line.length++;
+        } else {
+          broken = broken || !line.truncated;
+          line.truncated = truncated = true;
+          continue;
+        }
+
+        kept.push(byte);
+      }
+
+      if (!truncated) {
+        return { data, action: null };
+      }
+
+      const action = broken
+        ? await this.reportTelnetAbuse(id, "lineLength", limit)
+        : this.settings.abuseActions.lineLength;
+
+      return { data: Buffer.from(kept), action };
+    },
+
+    /**
+     * Checks a negotiation a connection sent against `maxRenegotiations`, the number of times the client may negotiate
+     * each option per minute. Negotiations that are throttled are delayed until the minute is over. TIMING-MARK is not
+     * counted, since the client answers every keepalive probe with it.
+     *
+     * @param id{string} The id of the connection.
+     * @param sequence{Array<number>} The telnet sequence.
+     * @returns {Promise<string|null>} The action taken, or null if the sequence is within the limit.
+     */
+    async checkTelnetRenegotiation(id, sequence) {
+      const limit = this.settings.maxRenegotiations;
+
+      if (
+        !limit ||
+        sequence.length !== 3 ||
+        sequence[1] < COMMANDS.WILL ||
+        sequence[1] > COMMANDS.DONT ||
+        sequence[2] === OPTIONS.TIMING_MARK
+      ) {
+        return null;
+      }
+
+      const renegotiations = this.getTelnetConnectionState(id).renegotiations;
+      const now = Date.now();
+      let window = renegotiations[sequence[2]];
+
+      if (!window || now - window.start >= 60000) {
+        window = renegotiations[sequence[2]] = { start: now, count: 0 };
+      }
+
+      if (++window.count <= limit) {
+        return null;
+      }
+
+      const action = await this.reportTelnetAbuse(id, "renegotiation", limit);
+
+      if (action === "throttle") {
+        await new Promise((resolve) =>
+          setTimeout(resolve, window.start + 60000 - now)
+        );
+      }
+
+      return action;
+    },
+
+    /**
+     * Broadcasts a telnet sequence received from a connection, so services on other nodes can handle options this
+     * service does not know. The event is named after the start of the sequence in dot notation, for example
+     * `telnet.negotiation.IAC.SB.TTYPE`, and carries the whole sequence in dot notation and as raw bytes.
+     *
+     * @param id{string} The id of the connection.
+     * @param sequence{Array<number>} The telnet sequence.
+     * @returns {Promise<void>}
+     */
+    broadcastTelnetNegotiation(id, sequence) {
+      const notation = encodeDotNotation(sequence);
+
+      return this.broker.broadcast(
+        "telnet.negotiation." +
+          notation
+            .split(".")
+            .slice(0, sequence[1] === COMMANDS.SB ? 3 : sequence.length)
+            .join("."),
+        { id, sequence: notation, data: [...sequence] }
+      );
+    },
+
+    /**
+     * Records that the service is waiting for the client to answer a negotiation of an option. Only negotiations
+     * started before `telnet.negotiations.complete` is emitted are tracked.
+     *
+     * @param id{string} The id of the connection.
+     * @param option{number} The option.
+     */
+    trackTelnetNegotiation(id, option) {
+      const negotiations = this.getTelnetConnectionState(id).negotiations;
+
+      if (!negotiations.complete) {
+        negotiations.pending.set(option, "reply");
+      }
+    },
+
+    /**
+     * Keeps a negotiation pending after the client agreed to the option, until the option handler receives the
+     * subnegotiation it asked for and calls `resolveTelnetNegotiation`.
+     *
+     * @param id{string} The id of the connection.
+     * @param option{number} The option.
+     */
+    awaitTelnetSubnegotiation(id, option) {
+      const pending = this.getTelnetConnectionState(id).negotiations.pending;
+
+      if (pending.has(option)) {
+        pending.set(option, "subnegotiation");
+      }
+    },
+
+    /**
+     * Resolves the negotiation of an option once the client answered it, unless a subnegotiation is still awaited.
+     *
+     * @param id{string} The id of the connection.
+     * @param option{number} The option.
+     */
+    settleTelnetNegotiation(id, option) {
+      const state = this.getTelnetConnectionState(id);
+
+      if (
+        state.negotiations.pending.get(option) === "reply" &&
+        !state.negotiator.isPending(option)
+      ) {
+        this.resolveTelnetNegotiation(id, option);
+      }
+    },
+
+    /**
+     * Marks the negotiation of an option as answered.
+     *
+     * @param id{string} The id of the connection.
+     * @param option{number} The option.
+     */
+    resolveTelnetNegotiation(id, option) {
+      if (
+        this.getTelnetConnectionState(id).negotiations.pending.delete(option)
+      ) {
+        this.checkTelnetNegotiations(id);
+      }
+    },
+
+    /**
+     * Completes the negotiations of a connection if the client answered all of them.
+     *
+     * @param id{string} The id of the connection.
+     * @returns {Promise<void>}
+     */
+    async checkTelnetNegotiations(id) {
+      const negotiations = this.getTelnetConnectionState(id).negotiations;
+
+      if (negotiations.started && negotiations.pending.size === 0) {
+        return this.completeTelnetNegotiations(id, false);
+      }
+    },
+
+    /**
+     * Emits `telnet.negotiations.complete` for a connection, at most once.
+     *
+     * @param id{string} The id of the connection.
+     * @param timedOut{boolean} Whether the `negotiationTimeout` ran out before the client answered everything.
+     * @returns {Promise<void>}
+     */
+    async completeTelnetNegotiations(id, timedOut) {
+      const state = this.telnetConnectionState[id];
+
+      if (!state || state.negotiations.complete) {
+        return;
+      }
+
+      state.negotiations.complete = true;
+      clearTimeout(state.negotiations.timer);
+
+      return this.actions.onSocketTelnetNegotiationsComplete({ id, timedOut });
+    },
+
+    /**
+     * Starts probing a connection every `keepaliveInterval` milliseconds, if the setting is enabled.
+     *
+     * @param id{string} The id of the connection.
+     */
+    startKeepalive(id) {
+      const keepalive = this.getTelnetConnectionState(id).keepalive;
+
+      if (!this.settings.keepaliveInterval || keepalive.interval) {
+        return;
+      }
+
+      keepalive.interval = setInterval(
+        () =>
+          this.sendKeepalive(id).catch((err) =>
+            this.logger.error(
+              "connection: " + id + " failed to send the keepalive:",
+              err
+            )
+          ),
+        this.settings.keepaliveInterval
+      );
+      // the probes must not keep the process alive
+      keepalive.interval.unref();
+    },
+
+    /**
+     * Stops probing a connection.
+     *
+     * @param id{string} The id of the connection.
+     */
+    stopKeepalive(id) {
+      const state = this.telnetConnectionState[id];
+
+      if (!state) {
+        return;
+      }
+
+      clearInterval(state.keepalive.interval);
+      clearTimeout(state.keepalive.timeout);
+      state.keepalive.interval = null;
+      state.keepalive.timeout = null;
+    },
+
+    /**
+     * Sends a keepalive probe to a connection. With the `timingMark` method the client has `keepaliveTimeout`
+     * milliseconds to answer the `DO TIMING-MARK` before the connection is considered stale and closed. A `NOP` is not
+     * answered, it only lets the operating system notice a connection that is gone.
+     *
+     * @param id{string} The id of the connection.
+     * @returns {Promise<void>}
+     */
+    async sendKeepalive(id) {
+      const keepalive = this.getTelnetConnectionState(id).keepalive;
+
+      if (this.settings.keepaliveMethod === "nop") {
+        return this.actions.sendTelnetSequence({
+          id,
+          sequence: [COMMANDS.IAC, COMMANDS.NOP],
+        });
+      }
+
+      // the previous probe has not been answered yet
+      if (keepalive.sent !== null) {
+        return;
+      }
+
+      keepalive.sent = Date.now();
+      keepalive.timeout = setTimeout(() => {
+        this.logger.info(
+          "connection: " + id + " did not answer the keepalive, closing"
+        );
+        this.stopKeepalive(id);
+
+        this.broker
+          .emit("telnet.connection.stale", { id, since: keepalive.sent })
+          .then(() => this.actions.socketEnd({ id }))
+          .catch((err) =>
+            this.logger.error(
+              "connection: " + id + " failed to close the stale connection:",
+              err
+            )
+          );
+      }, this.settings.keepaliveTimeout);
+      keepalive.timeout.unref();
+
+      await this.actions.sendTelnetSequence({
+        id,
+        sequence: [COMMANDS.IAC, COMMANDS.DO, OPTIONS.TIMING_MARK],
+      });
+    },
+
+    /**
+     * Handles the client's answer to a keepalive probe, storing the round trip time in the `rtt` metadata.
+     *
+     * @param id{string} The id of the connection.
+     * @returns {Promise<void>}
+     */
+    async receiveKeepalive(id) {
+      const keepalive = this.getTelnetConnectionState(id).keepalive;
+
+      if (keepalive.sent === null) {
+        return;
+      }
+
+      const rtt = Date.now() - keepalive.sent;
+
+      clearTimeout(keepalive.timeout);
+      keepalive.timeout = null;
+      keepalive.sent = null;
+
+      await this.actions.setMetadata({ id, key: "rtt", value: rtt });
+      await this.broker.emit("telnet.latency", { id, rtt });
+    },
+
+    /**
+     * Returns the charsets configured in the `charset` setting, in order of preference.
+     *
+     * @returns {Array<string>}
+     */
+    getTelnetCharsets() {
+      const charset = this.settings.charset;
+
+      if (!charset) {
+        return [];
+      }
+
+      return Array.isArray(charset) ? charset : [charset];
+    },
+
+    /**
+     * Returns the names of the environment variables to request with NEW-ENVIRON, the default ones unless the `environ`
+     * setting lists them.
+     *
+     * @returns {Array<string>}
+     */
+    getTelnetEnvironVariables() {
+      const environ = this.settings.environ;
+
+      return Array.isArray(environ) ? environ : DEFAULT_ENVIRON;
+    },
+
+    /**
+     * Returns the current values of MSDP variables for a connection, the value reported for the connection or else the
+     * value reported for all connections. Variables without a value are left out.
+     *
+     * @param id{string} The id of the connection.
+     * @param names{Array<string>} The names of the variables.
+     * @returns {Object}
+     */
+    getMsdpValues(id, names) {
+      const state = this.getTelnetConnectionState(id);
+      const values = {};
+
+      for (let name of names) {
+        const variable = this.msdpVariables.get(name);
+
+        if (Object.prototype.hasOwnProperty.call(state.msdpValues, name)) {
+          values[name] = state.msdpValues[name];
+        } else if (variable && variable.value !== undefined) {
+          values[name] = variable.value;
+        }
+      }
+
+      return values;
+    },
+
+    /**
+     * Returns the color depth markup is rendered in for a connection, detected from the terminal types and the MTTS
+     * capabilities the client reported, or `defaultColorDepth` if the client did not report any.
+     *
+     * @param id{string} The id of the connection.
+     * @returns {Promise<string>} `truecolor`, `256`, `16` or `none`.
+     */
+    async getTelnetColorDepth(id) {
+      const ttypes = this.getTelnetConnectionState(id).ttypes;
+      const mtts = await this.actions.getMetadata({ id, key: "mtts" });
+
+      return (
+        detectColorDepth(ttypes, mtts || 0) || this.settings.defaultColorDepth
+      );
+    },
+
+    /**
+     * Returns the MSSP variables to send to a connection, the ones of the `mssp` setting merged with the ones returned
+     * by the `msspAction` action. If the action fails only the variables of the setting are sent.
+     *
+     * @param id{string} The id of the connection.
+     * @returns {Promise<Object>}
+     */
+    async getMsspVariables(id) {
+      const mssp = this.settings.mssp;
+      const variables = typeof mssp === "object" && mssp !== null ? mssp : {};
+
+      if (!this.settings.msspAction) {
+        return { ...variables };
+      }
+
+      try {
+        const live = await this.broker.call(this.settings.msspAction, { id });
+
+        return { ...variables, ...live };
+      } catch (err) {
+        this.logger.warn(
+          "connection: " +
+            id +
+            " failed to get the MSSP variables from " +
+            this.settings.msspAction +
+            ":",
+          err
+        );
+
+        return { ...variables };
+      }
+    },
+
+    /**
+     * Echoes the input back to the client while the server holds the ECHO option. Outside of password mode the input is
+     * echoed as typed, in password mode the mask character is echoed for every printable character instead. Line endings
+     * are echoed as `CR LF` and erased characters are erased from the client's screen as well.
+     *
+     * @param id{string} The id of the connection.
+     * @param data{Buffer} The input received from the client.
+     * @returns {Promise<void>}
+     */
+    async echoTelnetInput(id, data) {
+      const state = this.getTelnetConnectionState(id);
+
+      if (!state.negotiator.isEnabled(OPTIONS.ECHO, "local")) {
+        return;
+      }
+
+      const echo = [];
+
+      for (let byte of data) {
+        const previous = state.lastInputByte;
+        state.lastInputByte = byte;
+
+        // the LF or NUL following a CR belongs to the line ending that was already echoed
+        if (byte === 0x0d || (byte === 0x0a && previous !== 0x0d)) {
+          echo.push(0x0d, 0x0a);
+        } else if (byte === 0x08 || byte === 0x7f) {
+          echo.push(0x08, 0x20, 0x08);
+        } else if (byte < 0x20) {
+          continue;
+        } else if (state.passwordMask === null) {
+          echo.push(byte);
+        } else {
+          echo.push(...Buffer.from(state.passwordMask));
+        }
+      }
+
+      if (echo.length > 0) {
+        await this.actions.socketWrite({ id, data: Buffer.from(echo) });
+      }
+    },
+
+    async negotiateTelnetOptions(id, data) {
+      this.logger.debug("connection: ", id, " negotiating telnet options");
+
+      for (let [option, policy] of this.telnetOptionPolicy) {
+        if (policy.remote === "request") {
+          this.logger.debug(
+            "connection: ",
+            id,
+            " asking to enable",
+            getOptionName(option)
+          );
+          await this.actions.sendDo({ id, option });
+        }
+
+        if (policy.local === "request") {
+          this.logger.debug(
+            "connection: ",
+            id,
+            " offering",
+            getOptionName(option)
+          );
+          await this.actions.sendWill({ id, option });
+        }
+      }
+
+      // the client's replies are tracked as they arrive, complete once all of them are in or the time is up
+      const negotiations = this.getTelnetConnectionState(id).negotiations;
+
+      negotiations.started = true;
+      negotiations.timer = setTimeout(
+        () => this.completeTelnetNegotiations(id, true),
+        this.settings.negotiationTimeout
+      );
+      negotiations.timer.unref();
+
+      return this.checkTelnetNegotiations(id);
+    },
+  },
+
+  mixins: [MoleculerTCP],
+
+  name: "telnet",
+
+  settings: {
+    get port() {
+      return process.env.MOLECULER_TCP_PORT || 2323;
+    },
+    maxLineLength: 1024,
+    aytReply: "[Yes]",
+    keepaliveInterval: null,
+    keepaliveTimeout: 30000,
+    keepaliveMethod: "timingMark",
+    negotiationTimeout: 5000,
+    handlerTimeout: 5000,
+    msdp: null,
+    msdpVariables: {},
+    mxp: null,
+    defaultColorDepth: "16",
+    mssp: null,
+    msspAction: null,
+    maxSubnegotiationLength: 16384,
+    maxRenegotiations: 20,
+    maxInputRate: null,
+    abuseActions: {
+      subnegotiationLength: "drop",
+      renegotiation: "drop",
+      inputRate: "throttle",
+      lineLength: "drop",
+    },
+  },
+
+  telnetOptionHandlers: [
+    ControlCommandHandler,
+    TimingMarkOptionHandler,
+    AYTCommandHandler,
+    TTYPEOption,
+    WillTTYPEOptionHandler,
+    WontTTYPEOptionHandler,
+    WillEchoOptionHandler,
+    WontEchoOptionHandler,
+    DoEchoOptionHandler,
+    DontEchoOptionHandler,
+    DoCharsetOptionHandler,
+    DontCharsetOptionHandler,
+    AcceptCharsetOptionHandler,
+    RejectCharsetOptionHandler,
+    RequestCharsetOptionHandler,
+    TTableCharsetOptionHandler,
+    WillNAWSOptionHandler,
+    WontNAWSOptionHandler,
+    NAWSOption,
+    WillLinemodeOptionHandler,
+    WontLinemodeOptionHandler,
+    LinemodeOption,
+    WillEnvironOptionHandler,
+    WontEnvironOptionHandler,
+    EnvironOption,
+    DoMCCP2OptionHandler,
+    DontMCCP2OptionHandler,
+    DontMCCP3OptionHandler,
+    DoSGAOptionHandler,
+    DontSGAOptionHandler,
+    DoEOROptionHandler,
+    DontEOROptionHandler,
+    DoGMCPOptionHandler,
+    DontGMCPOptionHandler,
+    GMCPOption,
+    DoMSDPOptionHandler,
+    DontMSDPOptionHandler,
+    MSDPOption,
+    DoMXPOptionHandler,
+    DontMXPOptionHandler,
+    DoMSSPOptionHandler,
+  ],
+};
+
+/**
+ * @private
+ *
+ * The states of the {@link TelnetStreamParser}.
+ */
+const PARSER_STATES = {
+  DATA: 0, // plain data
+  IAC: 1, // received IAC, waiting for the command
+  OPTION: 2, // received IAC WILL/WONT/DO/DONT, waiting for the option
+  SB: 3, // inside a subnegotiation
+  SB_IAC: 4, // received IAC inside a subnegotiation
+  SB_DISCARD: 5, // inside a subnegotiation that is too long
+  SB_DISCARD_IAC: 6, // received IAC inside a subnegotiation that is too long
+};
+
+/**
+ * The TelnetStreamParser separates the data a client sends from the telnet commands embedded in it. A parser keeps its
+ * state between calls to `parse`, so a single parser should be used for the whole lifetime of a connection; commands
+ * that are split across TCP packets are then reassembled.
+ *
+ * `parse` returns the tokens found in the chunk in the order they were received. Data tokens have the form
+ * `{ type: "data", data: Buffer }` with `IAC IAC` already unescaped into a literal 255 byte. Command tokens have the form
+ * `{ type: "command", sequence: Array<number> }` where `sequence` is the command exactly as it was sent on the wire,
+ * including the leading `IAC` and, for subnegotiations, the trailing `IAC SE`.
+ *
+ * Parsing stops after `IAC SB MCCP3 IAC SE`, since the client compresses everything it sends after it. The rest of the
+ * chunk is returned as a `{ type: "compressed", data: Buffer }` token, which has to be decompressed before it is parsed.
+ *
+ * A subnegotiation whose payload grows beyond `maxSubnegotiationLength` bytes is discarded up to its `IAC SE` without
+ * being buffered, and an `{ type: "overflow", sequence: Array<number> }` token with its `IAC SB <option>` is returned
+ * in its place.
+ */
+class TelnetStreamParser {
+  /**
+   * @param options{Object}
+   * @param options.maxSubnegotiationLength{number} The maximum length of a subnegotiation payload in bytes, unlimited
+   * if not set.
+   */
+  constructor({ maxSubnegotiationLength = null } = {}) {
+    this.state = PARSER_STATES.DATA;
+    this.sequence = [];
+    this.maxSubnegotiationLength = maxSubnegotiationLength;
+  }
+
+  /**
+   * Parses a chunk of data received from the client.
+   *
+   * @param chunk{Buffer} The data received from the client.
+   * @returns {Array<{type: string, data?: Buffer, sequence?: Array<number>}>}
+   */
+  parse(chunk) {
+    const tokens = [];
+    let data = [];
+
+    const pushToken = (token) => {
+      if (data.length > 0) {
+        tokens.push({ type: "data", data: Buffer.from(data) });
+        data = [];
+      }
+
+      tokens.push(token);
+    };
+    const pushCommand = (sequence) => pushToken({ type: "command", sequence });
+
+    for (let i = 0; i < chunk.length; i++) {
+      const byte = chunk[i];
+
+      switch (this.state) {
+        case PARSER_STATES.DATA:
+          if (byte === COMMANDS.IAC) {
+            this.state = PARSER_STATES.IAC;
+            this.sequence = [byte];
+          } else {
+            data.push(byte);
+          }
+          break;
+
+        case PARSER_STATES.IAC:
+          switch (byte) {
+            case COMMANDS.IAC:
+              // escaped 255 data byte
+              data.push(byte);
+              this.state = PARSER_STATES.DATA;
+              break;
+            case COMMANDS.WILL:
+            case COMMANDS.WONT:
+            case COMMANDS.DO:
+            case COMMANDS.DONT:
+              this.sequence.push(byte);
+              this.state = PARSER_STATES.OPTION;
+              break;
+            case COMMANDS.SB:
+              this.sequence.push(byte);
+              this.state = PARSER_STATES.SB;
+              break;
+            default:
+              // two byte command such as NOP or AYT
+              pushCommand([COMMANDS.IAC, byte]);
+              this.state = PARSER_STATES.DATA;
+          }
+          break;
+
+        case PARSER_STATES.OPTION:
+          this.sequence.push(byte);
+          pushCommand(this.sequence);
+          this.state = PARSER_STATES.DATA;
+          break;
+
+        case PARSER_STATES.SB:
+          this.sequence.push(byte);
+
+          if (byte === COMMANDS.IAC) {
+            this.state = PARSER_STATES.SB_IAC;
+          } else if (
+            this.maxSubnegotiationLength &&
+            this.sequence.length - 3 > this.maxSubnegotiationLength
+          ) {
+            pushToken({
+              type: "overflow",
+              sequence: this.sequence.slice(0, 3),
+            });
+            this.sequence = [];
+            this.state = PARSER_STATES.SB_DISCARD;
+          }
+          break;
+
+        case PARSER_STATES.SB_DISCARD:
+          if (byte === COMMANDS.IAC) {
+            this.state = PARSER_STATES.SB_DISCARD_IAC;
+          }
+          break;
+
+        case PARSER_STATES.SB_DISCARD_IAC:
+          if (byte === COMMANDS.SE) {
+            this.state = PARSER_STATES.DATA;
+          } else if (byte === COMMANDS.IAC) {
+            this.state = PARSER_STATES.SB_DISCARD;
+          } else {
+            // as with any other subnegotiation, IAC followed by a command aborts it
+            this.sequence = [COMMANDS.IAC];
+            this.state = PARSER_STATES.IAC;
+            i--;
+          }
+          break;
+
+        case PARSER_STATES.SB_IAC:
+          if (byte === COMMANDS.IAC) {
+            // escaped 255 inside the subnegotiation, kept escaped so the sequence matches what was sent
+            this.sequence.push(byte);
+            this.state = PARSER_STATES.SB;
+          } else if (byte === COMMANDS.SE) {
+            this.sequence.push(byte);
+            pushCommand(this.sequence);
+            this.state = PARSER_STATES.DATA;
+
+            // MCCP3: everything the client sends after IAC SB MCCP3 IAC SE is compressed
+            if (
+              this.sequence.length === 5 &&
+              this.sequence[2] === OPTIONS.MCCP3
+            ) {
+              tokens.push({ type: "compressed", data: chunk.subarray(i + 1) });
+              return tokens;
+            }
+          } else {
+            // IAC followed by anything other than IAC or SE aborts the subnegotiation, the malformed subnegotiation
+            // is dropped and the byte is processed again as a regular command
+            this.sequence = [COMMANDS.IAC];
+            this.state = PARSER_STATES.IAC;
+            i--;
+          }
+          break;
+      }
+    }
+
+    if (data.length > 0) {
+      tokens.push({ type: "data", data: Buffer.from(data) });
+    }
+
+    return tokens;
+  }
+}
+
+/**
+ * The TelnetOptionNegotiator implements the [RFC 1143](https://tools.ietf.org/html/rfc1143) Q method of option
+ * negotiation for a single connection. It tracks the state of every option on both sides of the connection, the
+ * `local` side being the options the server performs (WILL/WONT sent, DO/DONT received) and the `remote` side being the
+ * options the client performs (DO/DONT sent, WILL/WONT received).
+ *
+ * Each side of an option is in one of the `NO`, `YES`, `WANTNO` or `WANTYES` states, with a queue bit that is either
+ * `EMPTY` or `OPPOSITE`. Requests that would not change the state of an option are suppressed, and replies received from
+ * the client are checked against what was requested so negotiation loops can not occur.
+ */
+class TelnetOptionNegotiator {
+  constructor() {
+    this.options = {};
+  }
+
+  /**
+   * Returns the state of an option.
+   *
+   * @param option{number} The option.
+   * @returns {{local: string, localQueue: string, remote: string, remoteQueue: string}}
+   */
+  getState(option) {
+    if (!this.options[option]) {
+      this.options[option] = {
+        local: "NO",
+        localQueue: "EMPTY",
+        remote: "NO",
+        remoteQueue: "EMPTY",
+      };
+    }
+
+    return this.options[option];
+  }
+
+  /**
+   * Returns true if the option is enabled on the given side of the connection.
+   *
+   * @param option{number} The option.
+   * @param side{string} Either `local` or `remote`.
+   * @returns {boolean}
+   */
+  isEnabled(option, side) {
+    return this.getState(option)[side] === "YES";
+  }
+
+  /**
+   * Returns true if a request to enable or disable the option has not been answered yet, on either side.
+   *
+   * @param option{number} The option.
+   * @returns {boolean}
+   */
+  isPending(option) {
+    const state = this.getState(option);
+
+    return [state.local, state.remote].some(
+      (side) => side === "WANTYES" || side === "WANTNO"
+    );
+  }
+
+  /**
+   * Requests that an option be enabled. Returns the command that has to be sent to the client, or `null` if nothing
+   * has to be sent.
+   *
+   * @param option{number} The option.
+   * @param side{string} Either `local` or `remote`.
+   * @returns {number|null}
+   */
+  requestEnable(option, side) {
+    const state = this.getState(option);
+    const queue = side + "Queue";
+
+    switch (state[side]) {
+      case "NO":
+        state[side] = "WANTYES";
+        return side === "local" ? COMMANDS.WILL : COMMANDS.DO;
+      case "WANTNO":
+        state[queue] = "OPPOSITE";
+        return null;
+      case "WANTYES":
+        state[queue] = "EMPTY";
+        return null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Requests that an option be disabled. Returns the command that has to be sent to the client, or `null` if nothing
+   * has to be sent.
+   *
+   * @param option{number} The option.
+   * @param side{string} Either `local` or `remote`.
+   * @returns {number|null}
+   */
+  requestDisable(option, side) {
+    const state = this.getState(option);
+    const queue = side + "Queue";
+
+    switch (state[side]) {
+      case "YES":
+        state[side] = "WANTNO";
+        return side === "local" ? COMMANDS.WONT : COMMANDS.DONT;
+      case "WANTNO":
+        state[queue] = "EMPTY";
+        return null;
+      case "WANTYES":
+        state[queue] = "OPPOSITE";
+        return null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Processes a WILL, WONT, DO or DONT command received from the client. `accept` determines whether an option the
+   * client offers, or asks the server to perform, is agreed to.
+   *
+   * The returned `reply` is the command that has to be sent back to the client, or `null` if nothing has to be sent.
+   * `changed` is true if the command enabled or disabled the option as the client requested, which is when the command
+   * should be passed on to the option handlers. `error` describes a protocol violation by the client, if any.
+   *
+   * @param command{number} The command received.
+   * @param option{number} The option.
+   * @param accept{boolean} Whether to agree to enable the option.
+   * @returns {{reply: number|null, changed: boolean, error: string|null}}
+   */
+  receive(command, option, accept) {
+    const side =
+      command === COMMANDS.WILL || command === COMMANDS.WONT
+        ? "remote"
+        : "local";
+    const positive = command === COMMANDS.WILL || command === COMMANDS.DO;
+    const enable = side === "local" ? COMMANDS.WILL : COMMANDS.DO;
+    const disable = side === "local" ? COMMANDS.WONT : COMMANDS.DONT;
+
+    const state = this.getState(option);
+    const queue = side + "Queue";
+    const result = { reply: null, changed: false, error: null };
+
+    if (positive) {
+      switch (state[side]) {
+        case "NO":
+          if (accept) {
+            state[side] = "YES";
+            result.reply = enable;
+            result.changed = true;
+          } else {
+            result.reply = disable;
+          }
+          break;
+        case "WANTNO":
+          result.error = "disable request answered with an enable";
+          state[side] = state[queue] === "EMPTY" ? "NO" : "YES";
+          state[queue] = "EMPTY";
+          break;
+        case "WANTYES":
+          if (state[queue] === "EMPTY") {
+            state[side] = "YES";
+            result.changed = true;
+          } else {
+            state[side] = "WANTNO";
+            state[queue] = "EMPTY";
+            result.reply = disable;
+          }
+          break;
+      }
+    } else {
+      switch (state[side]) {
+        case "YES":
+          state[side] = "NO";
+          result.reply = disable;
+          result.changed = true;
+          break;
+        case "WANTNO":
+          if (state[queue] === "EMPTY") {
+            state[side] = "NO";
+            result.changed = true;
+          } else {
+            state[side] = "WANTYES";
+            state[queue] = "EMPTY";
+            result.reply = enable;
+          }
+          break;
+        case "WANTYES":
+          state[side] = "NO";
+          state[queue] = "EMPTY";
+          result.changed = true;
+          break;
+      }
+    }
+
+    return result;
+  }
+}
+
+/**
+ * The TelnetLineBuffer assembles the data a client sends into complete lines. `CR LF`, `CR NUL`, a bare `CR` and a bare
+ * `LF` all end a line, backspace and DEL erase the previous character, and characters beyond `maxLength` are dropped,
+ * which sets `truncated` until it is reset by the owner of the buffer. A line buffer keeps its state between calls to
+ * `push`, so lines may be split across any number of packets.
+ */
+class TelnetLineBuffer {
+  /**
+   * @param maxLength{number} The maximum length of a line in bytes.
+   */
+  constructor(maxLength = 1024) {
+    this.maxLength = maxLength;
+    this.buffer = [];
+    this.cr = false;
+    this.truncated = false;
+  }
+
+  /**
+   * Adds data received from the client to the buffer, returning the lines it completed.
+   *
+   * @param data{Buffer} The data received from the client, with telnet commands removed.
+   * @returns {Array<Buffer>}
+   */
+  push(data) {
+    const lines = [];
+
+    for (let byte of data) {
+      // the LF or NUL following a CR belongs to the line that was already completed
+      if (this.cr && (byte === 0x0a || byte === 0x00)) {
+        this.cr = false;
+        continue;
+      }
+
+      this.cr = byte === 0x0d;
+
+      switch (byte) {
+        case 0x0d:
+        case 0x0a:
+          lines.push(Buffer.from(this.buffer));
+          this.buffer = [];
+          break;
+        case 0x08:
+        case 0x7f:
+          this.eraseCharacter();
+          break;
+        default:
+          if (this.buffer.length < this.maxLength) {
+            this.buffer.push(byte);
+          } else {
+            this.truncated = true;
+          }
+      }
+    }
+
+    return lines;
+  }
+
+  /**
+   * Erases the last character of the current line. Multi-byte UTF-8 characters are erased as a whole.
+   */
+  eraseCharacter() {
+    while ((this.buffer[this.buffer.length - 1] & 0xc0) === 0x80) {
+      this.buffer.pop();
+    }
+
+    this.buffer.pop();
+  }
+
+  /**
+   * Erases the current line.
+   */
+  eraseLine() {
+    this.buffer = [];
+  }
+}
+
+/**
+ * The TelnetCompressionStream wraps a persistent zlib stream used for MCCP. Every chunk written is flushed with
+ * `Z_SYNC_FLUSH` so the other side can process it right away, and writes are processed one at a time in the order they
+ * were made. The number of bytes written to and read from the stream are counted in `bytesIn` and `bytesOut`.
+ */
+class TelnetCompressionStream {
+  /**
+   * @param stream{zlib.Deflate|zlib.Inflate} The zlib stream.
+   */
+  constructor(stream) {
+    this.stream = stream;
+    this.queue = Promise.resolve();
+    this.bytesIn = 0;
+    this.bytesOut = 0;
+    this.ending = false;
+    this.ended = false;
+  }
+
+  /**
+   * Creates a stream compressing data.
+   *
+   * @returns {TelnetCompressionStream}
+   */
+  static deflate() {
+    return new TelnetCompressionStream(zlib.createDeflate());
+  }
+
+  /**
+   * Creates a stream decompressing data.
+   *
+   * @returns {TelnetCompressionStream}
+   */
+  static inflate() {
+    return new TelnetCompressionStream(zlib.createInflate());
+  }
+
+  /**
+   * Writes a chunk to the stream. Resolves with the `data` the stream produced and, once the stream has ended, the `rest`
+   * of the chunk that was not part of the stream. The rest is `null` as long as the stream has not ended.
+   *
+   * @param data{Buffer} The data to write.
+   * @returns {Promise<{data: Buffer, rest: Buffer|null}>}
+   */
+  write(data) {
+    const end = this.ending;
+    this.ending = false;
+
+    const result = this.queue.then(
+      () =>
+        new Promise((resolve, reject) => {
+          if (this.ended) {
+            return resolve({ data: Buffer.alloc(0), rest: data });
+          }
+
+          const consumed = this.stream.bytesWritten;
+          const chunks = [];
+          let finished = false;
+
+          const done = (err) => {
+            if (finished) {
+              return;
+            }
+
+            finished = true;
+            this.stream.off("data", onData);
+            this.stream.off("end", onEnd);
+            this.stream.off("error", done);
+
+            if (err) {
+              this.ended = true;
+              return reject(err);
+            }
+
+            const output = Buffer.concat(chunks);
+            const used = this.ended
+              ? this.stream.bytesWritten - consumed
+              : data.length;
+
+            this.bytesIn += used;
+            this.bytesOut += output.length;
+
+            resolve({
+              data: output,
+              rest: this.ended ? data.subarray(used) : null,
+            });
+          };
+          const onData = (chunk) => chunks.push(chunk);
+          const onEnd = () => {
+            this.ended = true;
+            done();
+          };
+
+          this.stream.on("data", onData);
+          this.stream.once("end", onEnd);
+          this.stream.once("error", done);
+
+          if (end) {
+            this.stream.end(data);
+          } else {
+            this.stream.write(data);
+            this.stream.flush(zlib.constants.Z_SYNC_FLUSH, () => done());
+          }
+        })
+    );
+
+    this.queue = result.catch(() => {});
+
+    return result;
+  }
+
+  /**
+   * Ends the stream with the next write. Anything written after that is returned as the `rest` of the write.
+   */
+  end() {
+    this.ending = true;
+  }
+
+  /**
+   * Closes the stream without completing it, for when the connection is gone.
+   */
+  close() {
+    this.ended = true;
+    this.stream.close();
+  }
+}
+
+/**
+ * Returns the name of the encoding used for a charset name negotiated with a client, one of `utf8`, `latin1`, `ascii`
+ * or `cp437`. Charsets that are not supported fall back to `ascii`.
+ *
+ * @param {string} charset The charset name, for example `UTF-8` or `ISO-8859-1`.
+ * @returns {string}
+ */
+function normalizeCharset(charset) {
+  switch (String(charset).toUpperCase().replace(/_/g, "-")) {
+    case "UTF-8":
+    case "UTF8":
+      return "utf8";
+    case "ISO-8859-1":
+    case "ISO-8859-1:1987":
+    case "ISO8859-1":
+    case "LATIN1":
+    case "L1":
+      return "latin1";
+    case "CP437":
+    case "IBM437":
+    case "437":
+      return "cp437";
+    default:
+      return "ascii";
+  }
+}
+
+/**
+ * Returns true if text can be encoded and decoded in a charset, that is if it is UTF-8, ISO-8859-1, ASCII or CP437.
+ *
+ * @param {string} charset The charset name.
+ * @returns {boolean}
+ */
+function isSupportedCharset(charset) {
+  return (
+    typeof charset === "string" &&
+    (normalizeCharset(charset) !== "ascii" || /^(US-?)?ASCII$/i.test(charset))
+  );
+}
+
+/**
+ * Encodes text in a charset. Characters that can not be represented in the charset are replaced with `?`.
+ *
+ * @param {string} text The text to encode.
+ * @param {string} charset The charset name.
+ * @returns {Buffer}
+ */
+function encodeText(text, charset) {
+  const encoding = normalizeCharset(charset);
+
+  if (encoding === "utf8") {
+    return Buffer.from(text, "utf8");
+  }
+
+  const bytes = [];
+
+  for (let char of text) {
+    const code = char.codePointAt(0);
+
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (encoding === "latin1" && code <= 0xff) {
+      bytes.push(code);
+    } else if (encoding === "cp437" && CP437.includes(char)) {
+      bytes.push(0x80 + CP437.indexOf(char));
+    } else {
+      bytes.push(0x3f);
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * The TelnetTextDecoder decodes the data a client sends using a charset. A decoder keeps its state between calls to
+ * `write`, so multi-byte characters that are split across packets are decoded correctly. Bytes that are not valid in the
+ * charset are decoded as U+FFFD.
+ */
+class TelnetTextDecoder {
+  /**
+   * @param charset{string} The charset name.
+   */
+  constructor(charset) {
+    this.encoding = normalizeCharset(charset);
+    this.decoder = this.encoding === "utf8" ? new StringDecoder("utf8") : null;
+  }
+
+  /**
+   * Decodes data received from the client. Incomplete characters at the end of the data are kept until the next call.
+   *
+   * @param data{Buffer} The data received from the client.
+   * @returns {string}
+   */
+  write(data) {
+    if (this.decoder) {
+      return this.decoder.write(data);
+    }
+
+    let text = "";
+
+    for (let byte of data) {
+      if (byte < 0x80 || this.encoding === "latin1") {
+        text += String.fromCharCode(byte);
+      } else if (this.encoding === "cp437") {
+        text += CP437[byte - 0x80];
+      } else {
+        text += "\ufffd";
+      }
+    }
+
+    return text;
+  }
+}
+
+/**
+ * Decodes an MTTS bitvector into the capabilities of the client's terminal.
+ *
+ * @param {number} mtts The MTTS bitvector, `0` if the client did not report one.
+ * @returns {{ansi: boolean, vt100: boolean, utf8: boolean, colors256: boolean, mouseTracking: boolean,
+ *   oscColorPalette: boolean, screenReader: boolean, proxy: boolean, truecolor: boolean, mnes: boolean, mslp: boolean,
+ *   ssl: boolean}}
+ */
+function decodeMTTS(mtts) {
+  return {
+    ansi: (mtts & MTTS.ANSI) !== 0,
+    vt100: (mtts & MTTS.VT100) !== 0,
+    utf8: (mtts & MTTS.UTF8) !== 0,
+    colors256: (mtts & MTTS.COLORS_256) !== 0,
+    mouseTracking: (mtts & MTTS.MOUSE_TRACKING) !== 0,
+    oscColorPalette: (mtts & MTTS.OSC_COLOR_PALETTE) !== 0,
+    screenReader: (mtts & MTTS.SCREEN_READER) !== 0,
+    proxy: (mtts & MTTS.PROXY) !== 0,
+    truecolor: (mtts & MTTS.TRUECOLOR) !== 0,
+    mnes: (mtts & MTTS.MNES) !== 0,
+    mslp: (mtts & MTTS.MSLP) !== 0,
+    ssl: (mtts & MTTS.SSL) !== 0,
+  };
+}
+
+/**
+ * Detects the color depth of a terminal from the terminal types and the MTTS bitvector the client reported. The MTTS
+ * capabilities take precedence, otherwise `truecolor`, `24bit` or `direct` and `256` in a terminal type select those
+ * depths. Terminal types known to display colors, such as `xterm`, `ansi` or any ending in `color`, select 16 colors,
+ * and any other terminal type, such as `vt100` or `dumb`, none.
+ *
+ * @param {Array<string>} ttypes The terminal types the client reported.
+ * @param {number} [mtts] The MTTS bitvector, `0` if the client did not report one.
+ * @returns {string|null} `truecolor`, `256`, `16` or `none`, or null if the client did not report a terminal type.
+ */
+function detectColorDepth(ttypes, mtts = 0) {
+  if (mtts) {
+    const capabilities = decodeMTTS(mtts);
+
+    if (capabilities.truecolor) {
+      return "truecolor";
+    }
+
+    if (capabilities.colors256) {
+      return "256";
+    }
+
+    return capabilities.ansi ? "16" : "none";
+  }
+
+  const names = ttypes.map((ttype) => ttype.toLowerCase());
+
+  if (names.length === 0) {
+    return null;
+  }
+
+  if (names.some((name) => /truecolor|24bit|direct/.test(name))) {
+    return "truecolor";
+  }
+
+  if (names.some((name) => name.includes("256"))) {
+    return "256";
+  }
+
+  const colors = names.some(
+    (name) => COLOR_TERMINALS.test(name) && !MONOCHROME_TERMINALS.test(name)
+  );
+
+  return colors ? "16" : "none";
+}
+
+/**
+ * Renders color and style markup into ANSI escape sequences for a terminal of the given color depth. The markup
+ * consists of tags in braces:
+ *
+ * - `{red}`, `{bright-red}` and the other seven ANSI colors set the foreground color, `{bg:red}` the background color.
+ * - `{#ff8800}` or `{#f80}` set a hex color, `{bg:#ff8800}` a hex background color.
+ * - `{bold}`, `{dim}`, `{italic}`, `{underline}`, `{blink}` and `{reverse}` set a style, `{reset}` resets everything.
+ * - `{{` is a literal brace. Braces that do not form a known tag are left as they are.
+ *
+ * Hex colors are sent as they are to `truecolor` terminals and downgraded to the closest of the 256 colors or of the
+ * 16 ANSI colors for terminals with fewer colors. For terminals with no colors all tags and any escape sequences
+ * already in the text are removed.
+ *
+ * @param {string} text The text containing markup.
+ * @param {string} [depth] `truecolor`, `256`, `16` or `none`.
+ * @returns {string}
+ */
+function renderMarkup(text, depth = "truecolor") {
+  if (!COLOR_DEPTHS.includes(depth)) {
+    throw new TypeError("unknown color depth " + depth);
+  }
+
+  const rendered = text.replace(/\{\{|\{([a-z:#0-9-]+)\}/gi, (tag, name) => {
+    if (name === undefined) {
+      return "{";
+    }
+
+    const parameters = renderMarkupTag(name.toLowerCase(), depth);
+
+    if (parameters === null) {
+      return tag;
+    }
+
+    return depth === "none" ? "" : "\x1b[" + parameters + "m";
+  });
+
+  return depth === "none"
+    ? rendered.replace(/\x1b\[[0-9;?]*[a-z]/gi, "")
+    : rendered;
+}
+
+/**
+ * @private
+ *
+ * Returns the SGR parameters of a markup tag for a terminal of the given color depth, or null if the tag is not known.
+ *
+ * @param {string} name The lowercase name of the tag, without the braces.
+ * @param {string} depth The color depth.
+ * @returns {string|null}
+ */
+function renderMarkupTag(name, depth) {
+  if (MARKUP_STYLES[name] !== undefined) {
+    return String(MARKUP_STYLES[name]);
+  }
+
+  const background = name.startsWith("bg:");
+  const color = background ? name.slice(3) : name;
+  const bright = color.startsWith("bright-");
+  const index = MARKUP_COLORS.indexOf(bright ? color.slice(7) : color);
+
+  // the 16 colors are 30-37 and 90-97 for the foreground, 40-47 and 100-107 for the background
+  const ansi = (number) =>
+    String((number < 8 ? 30 : 90) + (number % 8) + (background ? 10 : 0));
+
+  if (index !== -1) {
+    return ansi(index + (bright ? 8 : 0));
+  }
+
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/.exec(color);
+
+  if (!match) {
+    return null;
+  }
+
+  const hex =
+    match[1].length === 3
+      ? match[1].replace(/./g, (digit) => digit + digit)
+      : match[1];
+  const rgb = [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  const prefix = background ? "48" : "38";
+
+  switch (depth) {
+    case "truecolor":
+      return prefix + ";2;" + rgb.join(";");
+    case "256":
+      return prefix + ";5;" + closest256Color(rgb);
+    default:
+      return ansi(closestColor(rgb, ANSI_PALETTE));
+  }
+}
+
+/**
+ * @private
+ *
+ * Returns the index of the color of the palette closest to an RGB color.
+ *
+ * @param {Array<number>} rgb
+ * @param {Array<Array<number>>} palette
+ * @returns {number}
+ */
+function closestColor(rgb, palette) {
+  let closest = 0;
+  let distance = Infinity;
+
+  palette.forEach((color, i) => {
+    const d = color.reduce((sum, value, c) => sum + (value - rgb[c]) ** 2, 0);
+
+    if (d < distance) {
+      closest = i;
+      distance = d;
+    }
+  });
+
+  return closest;
+}
+
+/**
+ * @private
+ *
+ * Returns the number of the color of the 256 colors closest to an RGB color, from the 6x6x6 color cube or the 24
+ * shades of gray.
+ *
+ * @param {Array<number>} rgb
+ * @returns {number}
+ */
+function closest256Color(rgb) {
+  const cube = rgb.map((value) =>
+    closestColor(
+      [value],
+      CUBE_LEVELS.map((level) => [level])
+    )
+  );
+  const gray = Math.min(
+    23,
+    Math.max(0, Math.round((rgb.reduce((a, b) => a + b) / 3 - 8) / 10))
+  );
+  const distance = (color) =>
+    color.reduce((sum, value, c) => sum + (value - rgb[c]) ** 2, 0);
+
+  return distance(cube.map((level) => CUBE_LEVELS[level])) <=
+    distance([8 + gray * 10, 8 + gray * 10, 8 + gray * 10])
+    ? 16 + cube[0] * 36 + cube[1] * 6 + cube[2]
+    : 232 + gray;
+}
+
+/**
+ * Returns the escape sequence that switches an MXP client to a line mode, for example `ESC [ 1 z` for `secure`.
+ *
+ * @param {string|number} mode The name of the mode in {@link MXP} or its number.
+ * @returns {string}
+ */
+function encodeMXPMode(mode) {
+  const number = typeof mode === "string" ? MXP[mode.toUpperCase()] : mode;
+
+  if (!Number.isInteger(number)) {
+    throw new TypeError("unknown MXP mode " + mode);
+  }
+
+  return "\x1b[" + number + "z";
+}
+
+/**
+ * Escapes the characters MXP clients would take for markup, `<`, `>`, `&` and `"`, with their entities.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeMXP(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Encodes an MXP element, for example `<send href="look">look</send>`. Attribute values are escaped, the content is
+ * not, so elements can be nested. Attributes without a value are left out, and the element is closed right away if it
+ * has no content.
+ *
+ * @param {string} name The name of the element.
+ * @param {Object<string, string|number>} [attributes]
+ * @param {string} [content]
+ * @returns {string}
+ */
+function encodeMXPElement(name, attributes = {}, content) {
+  let tag = "<" + name;
+
+  for (let [attribute, value] of Object.entries(attributes)) {
+    if (value !== null && value !== undefined) {
+      tag += " " + attribute + '="' + escapeMXP(value) + '"';
+    }
+  }
+
+  return content === undefined
+    ? tag + ">"
+    : tag + ">" + content + "</" + name + ">";
+}
+
+/**
+ * Encodes an MXP `<send>` element, text that sends a command to the server when it is clicked. With an array of
+ * commands the client shows a menu, and `hint` may be an array with the tooltip followed by a label for every command.
+ *
+ * @param {string} text The text to show, escaped.
+ * @param {string|Array<string>} commands The command, or the commands of the menu.
+ * @param {string|Array<string>} [hint] The tooltip, or the tooltip and the labels of the menu.
+ * @returns {string}
+ */
+function encodeMXPSend(text, commands, hint) {
+  return encodeMXPElement(
+    "send",
+    {
+      href: [].concat(commands).join("|"),
+      hint: hint === undefined ? undefined : [].concat(hint).join("|"),
+    },
+    escapeMXP(text)
+  );
+}
+
+/**
+ * Encodes an MXP `<a>` element, a link to a URL.
+ *
+ * @param {string} text The text to show, escaped.
+ * @param {string} href The URL.
+ * @param {string} [hint] The tooltip.
+ * @returns {string}
+ */
+function encodeMXPLink(text, href, hint) {
+  return encodeMXPElement("a", { href, hint }, escapeMXP(text));
+}
+
+/**
+ * Strips MXP markup for clients that do not support MXP. Line mode escape sequences and elements are removed and
+ * entities are decoded.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function stripMXP(text) {
+  const entities = { lt: "<", gt: ">", amp: "&", quot: '"', nbsp: " " };
+
+  return text
+    .replace(/\x1b\[\d+z/g, "")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] === "#") {
+        const code =
+          name[1].toLowerCase() === "x"
+            ? parseInt(name.slice(2), 16)
+            : parseInt(name.slice(1), 10);
+
+        return code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+      }
+
+      return entities[name.toLowerCase()] || entity;
+    });
+}
+
+/**
+ * Encodes MSDP variables into the payload of an MSDP subnegotiation. Arrays are encoded as MSDP arrays, objects as
+ * MSDP tables, booleans as `1` or `0` and `null` as an empty value. The MSDP type codes and NUL are removed from names
+ * and values.
+ *
+ * @param {Object<string, *>} variables
+ * @returns {Array<number>}
+ */
+function encodeMSDP(variables) {
+  const data = [];
+  const encodeString = (value) => {
+    const text = typeof value === "boolean" ? (value ? "1" : "0") : value;
+
+    for (let byte of Buffer.from(text === null ? "" : String(text), "utf8")) {
+      if (byte > MSDP.ARRAY_CLOSE) {
+        data.push(byte);
+      }
+    }
+  };
+  const encodeValue = (value) => {
+    if (Array.isArray(value)) {
+      data.push(MSDP.ARRAY_OPEN);
+
+      for (let entry of value) {
+        data.push(MSDP.VAL);
+        encodeValue(entry);
+      }
+
+      data.push(MSDP.ARRAY_CLOSE);
+    } else if (value !== null && typeof value === "object") {
+      data.push(MSDP.TABLE_OPEN);
+      encodeVariables(value);
+      data.push(MSDP.TABLE_CLOSE);
+    } else {
+      encodeString(value);
+    }
+  };
+  const encodeVariables = (variables) => {
+    for (let [name, value] of Object.entries(variables)) {
+      data.push(MSDP.VAR);
+      encodeString(name);
+      data.push(MSDP.VAL);
+      encodeValue(value);
+    }
+  };
+
+  encodeVariables(variables);
+
+  return data;
+}
+
+/**
+ * Decodes the payload of an MSDP subnegotiation into an object of variables. Tables are decoded into objects, arrays
+ * into arrays, and a variable with more than one value, such as `REPORT` with several variable names, into an array of
+ * its values.
+ *
+ * @param {Array<number> | Buffer} data
+ * @returns {Object<string, *>}
+ */
+function decodeMSDP(data) {
+  let i = 0;
+
+  const readString = () => {
+    const start = i;
+
+    while (i < data.length && data[i] > MSDP.ARRAY_CLOSE) {
+      i++;
+    }
 
-          await this.actions.setMetadata({
-            id,
-            key: "ttypeEnabled",
-            value: false,
-          });
-          await this.negotiateTelnetOptions(id);
-        },
-      },
-    },
+    return Buffer.from(data.slice(start, i)).toString("utf8");
+  };
+  const readValue = () => {
+    if (data[i] === MSDP.TABLE_OPEN) {
+      i++;
+      const table = readTable(MSDP.TABLE_CLOSE);
+      i++;
+      return table;
+    }
 
-    onSocketData: {
-      hooks: {
-        // capture the socket data and parse it into telnet events and prevent further processing
-        async before(ctx) {
-          let { id, data } = ctx.params;
+    if (data[i] === MSDP.ARRAY_OPEN) {
+      const array = [];
+      i++;
 
-          const commands = extractTelnetCommands(data);
+      while (i < data.length && data[i] !== MSDP.ARRAY_CLOSE) {
+        if (data[i++] === MSDP.VAL) {
+          array.push(readValue());
+        }
+      }
 
-          if (commands.length > 0) {
-            for (let command of commands) {
-              this.actions.handleTelnetCommand({ id, command });
-            }
+      i++;
+      return array;
+    }
 
-            // prevent further processing
-            throw new Error("telnet command");
-          }
-        },
-        error(ctx, err) {
-          // handle the socket command error
-          if (err.message === "telnet command") {
-            this.logger.debug(
-              "connection: " +
-                ctx.params.id +
-                " received telnet command. preventing further processing"
-            );
-            return Promise.resolve();
-          }
+    return readString();
+  };
+  const readTable = (close) => {
+    const table = {};
 
-          throw err;
-        },
-      },
-    },
+    while (i < data.length && data[i] !== close) {
+      if (data[i++] !== MSDP.VAR) {
+        continue;
+      }
 
-    onSocketTelnetNegotiationsComplete: {
-      params: {
-        id: "string",
-      },
-      visibility: "private",
-      handler(ctx) {
-        return ctx.emit("telnet.negotiations.complete", {
-          id: ctx.params.id,
-        });
-      },
-    },
+      const name = readString();
+      const values = [];
 
-    registerTelnetOptionHandler: {
-      params: {
-        handler: "any",
-      },
-      visibility: "protected",
-      handler(ctx) {
-        // raise an error if the handler is not a descendent of TelnetOptionHandler
-        if (
-          !Object.prototype.isPrototypeOf(
-            ctx.params.handler,
-            TelnetOptionHandler
-          )
-        ) {
-          throw new Errors.MoleculerError(
-            "handler must be a TelnetOptionHandler, got " + ctx.params.handler,
-            500,
-            "ERR_INVALID_HANDLER"
-          );
+      while (data[i] === MSDP.VAL) {
+        i++;
+        values.push(readValue());
+      }
+
+      table[name] = values.length > 1 ? values : values.length ? values[0] : "";
+    }
+
+    return table;
+  };
+
+  return readTable();
+}
+
+/**
+ * Encodes MSSP variables into the payload of an MSSP subnegotiation. Arrays are encoded as multiple values, booleans as
+ * `1` or `0`, and variables without a value are left out. The MSSP type codes and NUL are removed from names and values,
+ * and since they are encoded as UTF-8 they never contain an IAC that would need escaping.
+ *
+ * @param {Object<string, string|number|boolean|Array<string|number|boolean>>} variables
+ * @returns {Array<number>}
+ */
+function encodeMSSP(variables) {
+  const data = [];
+  const encode = (value) => {
+    const text = typeof value === "boolean" ? (value ? "1" : "0") : value;
+
+    for (let byte of Buffer.from(String(text), "utf8")) {
+      if (byte === 0 || byte === MSSP.VAR || byte === MSSP.VAL) {
+        continue;
+      }
+
+      data.push(byte);
+    }
+  };
+
+  for (let [name, value] of Object.entries(variables)) {
+    if (value === null || value === undefined) {
+      continue;
+    }
+
+    data.push(MSSP.VAR);
+    encode(name);
+
+    for (let entry of Array.isArray(value) ? value : [value]) {
+      data.push(MSSP.VAL);
+      encode(entry);
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Decodes the variables of a NEW-ENVIRON `IS` or `INFO` subnegotiation. `data` is the unescaped payload following the
+ * `IS` or `INFO` byte. Variables the client does not define have a `null` value.
+ *
+ * @param {Array<number> | Buffer} data
+ * @returns {Array<{type: string, name: string, value: string|null}>}
+ */
+function decodeEnviron(data) {
+  const variables = [];
+  let variable = null;
+  let field = null;
+
+  for (let i = 0; i < data.length; i++) {
+    let byte = data[i];
+
+    switch (byte) {
+      case ENVIRON.VAR:
+      case ENVIRON.USERVAR:
+        variable = {
+          type: byte === ENVIRON.VAR ? "var" : "uservar",
+          name: [],
+          value: null,
+        };
+        variables.push(variable);
+        field = variable.name;
+        continue;
+      case ENVIRON.VALUE:
+        if (variable) {
+          variable.value = [];
+          field = variable.value;
         }
+        continue;
+      case ENVIRON.ESC:
+        // the next byte is part of the name or value, even if it is a type code
+        byte = data[++i];
+        break;
+    }
 
-        const h = new ctx.params.handler();
-        this.optionHandlers[ctx.params.handler.name] = h;
-        this.logger.info(
-          "registered telnet option handler: " + ctx.params.handler.name
-        );
-      },
-    },
+    // data before the first variable is malformed and dropped
+    if (field && byte !== undefined) {
+      field.push(byte);
+    }
+  }
 
-    sendDo: {
-      params: {
-        id: "string",
-        option: "number",
-      },
-      async handler(ctx) {
-        return this.actions.sendTelnetSequence({
-          id: ctx.params.id,
-          sequence: [COMMANDS.IAC, COMMANDS.DO, ctx.params.option],
-        });
-      },
-    },
+  return variables
+    .filter((variable) => variable.name.length > 0)
+    .map((variable) => ({
+      type: variable.type,
+      name: Buffer.from(variable.name).toString("utf8"),
+      value:
+        variable.value === null
+          ? null
+          : Buffer.from(variable.value).toString("utf8"),
+    }));
+}
 
-    sendDont: {
-      params: {
-        id: "string",
-        option: "number",
-      },
-      async handler(ctx) {
-        return this.actions.sendTelnetSequence({
-          id: ctx.params.id,
-          sequence: [COMMANDS.IAC, COMMANDS.DONT, ctx.params.option],
-        });
-      },
-    },
+/**
+ * @private
+ *
+ * Returns the SLC entry the server suggests for a function when the client asks for the default.
+ *
+ * @param {number} func The SLC function code.
+ * @returns {{level: number, value: number, flushIn: boolean, flushOut: boolean}}
+ */
+function defaultSLC(func) {
+  const value = SLC_DEFAULTS[func];
 
-    sendTelnetSequence: {
-      params: {
-        id: "string",
-        sequence: "array",
-      },
-      async handler(ctx) {
-        const data = Buffer.from(ctx.params.sequence);
+  return {
+    level: value === undefined ? SLC.NOSUPPORT : SLC.VALUE,
+    value: value === undefined ? 0 : value,
+    // interrupting or aborting discards the output the client has not displayed yet
+    flushIn: false,
+    flushOut: func === SLC.IP || func === SLC.AO || func === SLC.ABORT,
+  };
+}
 
-        return this.actions.socketWrite({ id: ctx.params.id, data });
-      },
-    },
+/**
+ * @private
+ *
+ * Encodes an SLC entry as an escaped `function modifier value` triplet.
+ *
+ * @param {number|string} func The SLC function code.
+ * @param {{level: number, value: number, flushIn: boolean, flushOut: boolean}} entry
+ * @param {number} flags Additional modifier flags, `SLC.ACK` to acknowledge the client's value.
+ * @returns {Array<number>}
+ */
+function encodeSLC(func, entry, flags = 0) {
+  const modifier =
+    entry.level |
+    (entry.flushIn ? SLC.FLUSHIN : 0) |
+    (entry.flushOut ? SLC.FLUSHOUT : 0) |
+    flags;
+  const triplet = [Number(func), modifier, entry.value];
 
-    sendWill: {
-      params: {
-        id: "string",
-        option: "number",
-      },
-      async handler(ctx) {
-        return this.actions.sendTelnetSequence({
-          id: ctx.params.id,
-          sequence: [COMMANDS.IAC, COMMANDS.WILL, ctx.params.option],
-        });
-      },
-    },
-  },
+  if (entry.value === COMMANDS.IAC) {
+    triplet.push(COMMANDS.IAC);
+  }
 
-  async created() {
-    this.optionHandlers = {};
-  },
+  return triplet;
+}
 
-  async started() {
-    await this.actions.registerTelnetOptionHandler({ handler: TTYPEOption });
-    await this.actions.registerTelnetOptionHandler({
-      handler: WillTTYPEOptionHandler,
-    });
-    await this.actions.registerTelnetOptionHandler({
-      handler: WontTTYPEOptionHandler,
-    });
-    await this.actions.registerTelnetOptionHandler({
-      handler: WillEchoOptionHandler,
-    });
-    await this.actions.registerTelnetOptionHandler({
-      handler: WontEchoOptionHandler,
-    });
+/**
+ * @private
+ *
+ * Encodes the characters a client should forward a partial line on as a LINEMODE FORWARDMASK, escaping 255 bytes.
+ * Bit 7 of the first byte stands for character 0.
+ *
+ * @param {Array<number>} characters
+ * @returns {Array<number>}
+ */
+function encodeForwardMask(characters) {
+  const mask = Array(32).fill(0);
 
-    await this.actions.registerTelnetOptionHandler({
-      handler: DoCharsetOptionHandler,
-    });
+  for (let character of characters) {
+    mask[character >> 3] |= 0x80 >> (character & 7);
+  }
 
-    await this.actions.registerTelnetOptionHandler({
-      handler: DontCharsetOptionHandler,
-    });
+  // trailing zero bytes may be left out
+  while (mask.length > 0 && mask[mask.length - 1] === 0) {
+    mask.pop();
+  }
 
-    await this.actions.registerTelnetOptionHandler({
-      handler: AcceptCharsetOptionHandler,
-    });
+  return mask.flatMap((byte) =>
+    byte === COMMANDS.IAC ? [byte, byte] : [byte]
+  );
+}
 
-    await this.actions.registerTelnetOptionHandler({
-      handler: RejectCharsetOptionHandler,
-    });
+/**
+ * @private
+ *
+ * Escapes the NEW-ENVIRON type codes in a variable name or value with ESC.
+ *
+ * @param {Buffer} data
+ * @returns {Array<number>}
+ */
+function escapeEnviron(data) {
+  const escaped = [];
 
-    await this.logger.info("telnet settings :", this.settings);
-  },
+  for (let byte of data) {
+    if (byte <= ENVIRON.USERVAR) {
+      escaped.push(ENVIRON.ESC);
+    }
 
-  methods: {
-    negotiateTelnetOptions(id, data) {
-      this.logger.debug("connection: ", id, " negotiating telnet options");
-      if (this.settings.ttype) {
-        this.logger.debug("connection: ", id, " asking to enable ttype");
-        this.actions.sendDo({ id, option: OPTIONS.TTYPE });
-      } else {
-        this.logger.debug("connection: ", id, " asking to disable ttype");
-        this.actions.sendDont({ id, option: OPTIONS.TTYPE });
-      }
+    escaped.push(byte);
 
-      if (this.settings.charset) {
-        this.logger.debug("connection: ", id, " asking to enable charset");
-        this.actions.sendWill({ id, option: OPTIONS.CHARSET });
-      }
+    if (byte === COMMANDS.IAC) {
+      escaped.push(byte);
+    }
+  }
 
-      return this.actions.onSocketTelnetNegotiationsComplete({ id });
-    },
-  },
+  return escaped;
+}
 
-  mixins: [MoleculerTCP],
+/**
+ * Encodes a telnet sequence in dot notation, for example `IAC.WILL.TTYPE` or `IAC.SB.TTYPE.IS.120.116.IAC.SE`.
+ * Commands, options and the command starting the payload of known options are named, the rest of the payload is
+ * written as decimal bytes with `IAC` for 255.
+ *
+ * @param {Array<number> | Buffer} sequence The telnet sequence.
+ * @returns {string}
+ */
+function encodeDotNotation(sequence) {
+  const subnegotiation = sequence[1] === COMMANDS.SB;
+  const names = [];
 
-  name: "telnet",
+  for (let i = 0; i < sequence.length; i++) {
+    const byte = sequence[i];
+    let name = null;
 
-  settings: {
-    get port() {
-      return process.env.MOLECULER_TCP_PORT || 2323;
-    },
-  },
-};
+    if (i === 1 || (subnegotiation && i === sequence.length - 1)) {
+      name = getCommandName(byte);
+    } else if (i === 2 && sequence[1] >= COMMANDS.SB) {
+      name = getOptionName(byte);
+    } else if (i === 3 && subnegotiation) {
+      name = (SUBNEGOTIATION_COMMANDS[sequence[2]] || {})[byte];
+    }
+
+    if (name === null || name === undefined) {
+      name = byte === COMMANDS.IAC ? "IAC" : byte;
+    }
+
+    names.push(name);
+  }
+
+  return names.join(".");
+}
+
+/**
+ * Decodes a telnet sequence in dot notation, the reverse of {@link encodeDotNotation}. Names and decimal bytes may be
+ * mixed freely.
+ *
+ * @param {string} notation The sequence in dot notation.
+ * @returns {Array<number>}
+ */
+function decodeDotNotation(notation) {
+  const names = notation.split(".");
+  const sequence = [];
+
+  for (let i = 0; i < names.length; i++) {
+    const name = names[i];
+    let byte;
+
+    // only the names defined in the maps themselves count, not the ones they inherit, such as constructor
+    if (/^\d+$/.test(name)) {
+      byte = parseInt(name);
+    } else if (i === 2 && Object.prototype.hasOwnProperty.call(OPTIONS, name)) {
+      byte = OPTIONS[name];
+    } else if (
+      i === 3 &&
+      Object.prototype.hasOwnProperty.call(SUBNEGOTIATION_COMMANDS, sequence[2])
+    ) {
+      const commands = SUBNEGOTIATION_COMMANDS[sequence[2]];
+
+      byte = Object.keys(commands).find((code) => commands[code] === name);
+      byte = byte === undefined ? undefined : parseInt(byte);
+    } else if (
+      Object.prototype.hasOwnProperty.call(COMMANDS, name) &&
+      COMMANDS[name] >= COMMANDS.EOR
+    ) {
+      byte = COMMANDS[name];
+    }
+
+    if (byte === undefined || byte > 255) {
+      throw new Error("invalid telnet sequence element " + name);
+    }
+
+    sequence.push(byte);
+  }
+
+  return sequence;
+}
 
 /**
  * @private
  *
- * @param {Buffer | string} data
+ * Returns the name of a command byte in {@link COMMANDS}, or `null` if it is not a command.
+ *
+ * @param {number} byte
+ * @returns {string|null}
  */
+function getCommandName(byte) {
+  if (byte < COMMANDS.EOR) {
+    return null;
+  }
 
-function extractTelnetCommands(data) {
-  if (data[0] === COMMANDS.IAC) {
-    const commands = [];
+  return Object.keys(COMMANDS).find((name) => COMMANDS[name] === byte) || null;
+}
 
-    let isSubnegotiation = false;
-    let sequence = [];
+/**
+ * @private
+ *
+ * Returns the name of an option in {@link OPTIONS}, or the option code if it has no name.
+ *
+ * @param {number} option
+ * @returns {string|number}
+ */
+function getOptionName(option) {
+  return (
+    Object.keys(OPTIONS).find((name) => OPTIONS[name] === option) || option
+  );
+}
 
-    for (let i = 0; i < data.length; i++) {
-      switch (data[i]) {
-        case COMMANDS.IAC:
-          if (sequence.length > 0 && !isSubnegotiation) {
-            commands.push(sequence);
-            sequence = [data[i]];
-          } else {
-            sequence.push(data[i]);
-          }
+/**
+ * @private
+ *
+ * Extracts the telnet commands from a single chunk of data. Any data that is not part of a command is discarded, and
+ * commands that are not complete at the end of the chunk are dropped. Use a {@link TelnetStreamParser} to parse a
+ * continuous stream. Subnegotiations longer than `maxSubnegotiationLength` are dropped as well.
+ *
+ * @param {Buffer | string} data
+ * @param {{maxSubnegotiationLength?: number}} [options]
+ * @returns {Array<Array<number>>}
+ */
+function extractTelnetCommands(data, options) {
+  return new TelnetStreamParser(options)
+    .parse(Buffer.from(data))
+    .filter((token) => token.type === "command")
+    .map((token) => token.sequence);
+}
 
-          break;
-        case COMMANDS.SB:
-          sequence.push(data[i]);
-          isSubnegotiation = true;
-          break;
-        case COMMANDS.SE:
-          sequence.push(data[i]);
-          isSubnegotiation = false;
-          commands.push(sequence);
-          sequence = [];
-          break;
-        default:
-          sequence.push(data[i]);
+/**
+ * @private
+ *
+ * Returns the payload of a subnegotiation sequence, stripping the leading `IAC SB <option>` and the trailing
+ * `IAC SE` and collapsing escaped `IAC IAC` pairs into a single 255 byte.
+ *
+ * @param {Array<number> | Buffer} sequence
+ * @returns {Array<number>}
+ */
+function unescapeSubnegotiation(sequence) {
+  const data = [];
 
-          if (i === data.length - 1) {
-            commands.push(sequence);
-          }
-      }
+  for (let i = 3; i < sequence.length - 2; i++) {
+    data.push(sequence[i]);
+
+    if (sequence[i] === COMMANDS.IAC && sequence[i + 1] === COMMANDS.IAC) {
+      i++;
     }
-    return commands;
-  } else {
-    return [];
   }
+
+  return data;
 }
 
 module.exports = {
   MoleculerTelnet,
   TelnetOptionHandler,
+  TelnetStreamParser,
+  TelnetOptionNegotiator,
+  TelnetLineBuffer,
+  TelnetCompressionStream,
+  TelnetTextDecoder,
+  encodeText,
+  normalizeCharset,
+  decodeMTTS,
+  decodeEnviron,
+  encodeMSSP,
+  encodeMSDP,
+  decodeMSDP,
+  encodeMXPMode,
+  encodeMXPElement,
+  encodeMXPSend,
+  encodeMXPLink,
+  escapeMXP,
+  stripMXP,
+  detectColorDepth,
+  renderMarkup,
+  encodeDotNotation,
+  decodeDotNotation,
   extractTelnetCommands,
   COMMANDS,
   OPTIONS,
+  MTTS,
+  ENVIRON,
+  MSSP,
+  MSDP,
+  MXP,
+  LINEMODE,
+  SLC,
 };
@@ -2,9 +2,33 @@ const { Socket } = require("net");
 const { TelnetMixin, MoleculerTelnet, OPTIONS } = require("./index");
 const { ServiceBroker } = require("moleculer");
 const { EventEmitter } = require("events");
+const zlib = require("zlib");
 const {
   TelnetOptionHandler,
+  TelnetStreamParser,
+  TelnetOptionNegotiator,
+  TelnetLineBuffer,
+  TelnetCompressionStream,
+  TelnetTextDecoder,
+  encodeText,
+  decodeMTTS,
+  decodeEnviron,
+  encodeMSSP,
+  encodeMSDP,
+  decodeMSDP,
+  encodeMXPSend,
+  encodeMXPLink,
+  stripMXP,
+  detectColorDepth,
+  renderMarkup,
+  encodeDotNotation,
+  decodeDotNotation,
   COMMANDS,
+  ENVIRON,
+  MSSP,
+  MSDP,
+  LINEMODE,
+  SLC,
   extractTelnetCommands,
 } = require("./index");
 
@@ -81,6 +105,38 @@ class SendTTYPE {
   }
 }
 
+class CycleTTYPE {
+  constructor(ttypes) {
+    this.ttypes = ttypes;
+    this.index = 0;
+  }
+
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.SB &&
+      sequence[2] === OPTIONS.TTYPE &&
+      sequence[3] === COMMANDS.SEND
+    );
+  }
+
+  handle(client, sequence) {
+    const ttype = this.ttypes[Math.min(this.index++, this.ttypes.length - 1)];
+
+    client.socket.write(
+      Buffer.from([
+        COMMANDS.IAC,
+        COMMANDS.SB,
+        OPTIONS.TTYPE,
+        COMMANDS.IS,
+        ...Buffer.from(ttype),
+        COMMANDS.IAC,
+        COMMANDS.SE,
+      ])
+    );
+  }
+}
+
 class WillCharset {
   match(sequence) {
     return (
@@ -145,6 +201,276 @@ class RequestCharset {
   }
 }
 
+class WillNAWS {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.DO &&
+      sequence[2] === OPTIONS.NAWS
+    );
+  }
+
+  handle(client, sequence) {
+    const size = [];
+
+    for (const byte of [
+      this.width >> 8,
+      this.width & 0xff,
+      this.height >> 8,
+      this.height & 0xff,
+    ]) {
+      size.push(byte);
+
+      if (byte === COMMANDS.IAC) {
+        size.push(byte);
+      }
+    }
+
+    client.socket.write(
+      Buffer.from([COMMANDS.IAC, COMMANDS.WILL, OPTIONS.NAWS])
+    );
+    client.socket.write(
+      Buffer.from([
+        COMMANDS.IAC,
+        COMMANDS.SB,
+        OPTIONS.NAWS,
+        ...size,
+        COMMANDS.IAC,
+        COMMANDS.SE,
+      ])
+    );
+  }
+}
+
+class DoEcho {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.WILL &&
+      sequence[2] === OPTIONS.ECHO
+    );
+  }
+
+  handle(client, sequence) {
+    client.socket.write(Buffer.from([COMMANDS.IAC, COMMANDS.DO, OPTIONS.ECHO]));
+  }
+}
+
+class AcceptLastCharset {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.SB &&
+      sequence[2] === OPTIONS.CHARSET &&
+      sequence[3] === COMMANDS.REQUEST
+    );
+  }
+
+  handle(client, sequence) {
+    const request = Buffer.from(sequence.slice(4, -2)).toString();
+    const charsets = request.slice(1).split(request[0]);
+
+    client.socket.write(
+      Buffer.from([
+        COMMANDS.IAC,
+        COMMANDS.SB,
+        OPTIONS.CHARSET,
+        COMMANDS.ACCEPTED,
+        ...Buffer.from(charsets[charsets.length - 1].toLowerCase()),
+        COMMANDS.IAC,
+        COMMANDS.SE,
+      ])
+    );
+  }
+}
+
+class DoGMCP {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.WILL &&
+      sequence[2] === OPTIONS.GMCP
+    );
+  }
+
+  handle(client, sequence) {
+    client.socket.write(Buffer.from([COMMANDS.IAC, COMMANDS.DO, OPTIONS.GMCP]));
+  }
+}
+
+class DoOption {
+  constructor(option) {
+    this.option = option;
+  }
+
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.WILL &&
+      sequence[2] === this.option
+    );
+  }
+
+  handle(client, sequence) {
+    client.socket.write(Buffer.from([COMMANDS.IAC, COMMANDS.DO, this.option]));
+  }
+}
+
+class WillTimingMark {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.DO &&
+      sequence[2] === OPTIONS.TIMING_MARK
+    );
+  }
+
+  handle(client, sequence) {
+    client.socket.write(
+      Buffer.from([COMMANDS.IAC, COMMANDS.WILL, OPTIONS.TIMING_MARK])
+    );
+  }
+}
+
+class DoMCCP {
+  match(sequence) {
+    return (
+      sequence[0] === COMMANDS.IAC &&
+      sequence[1] === COMMANDS.WILL &&
+      (sequence[2] === OPTIONS.MCCP2 || sequence[2] === OPTIONS.MCCP3)
+    );
+  }
+
+  handle(client, sequence) {
+    client.socket.write(Buffer.from([COMMANDS.IAC, COMMANDS.DO, sequence[2]]));
+  }
+}
+
+class Linemode {
+  match(sequence) {
+    return sequence[0] === COMMANDS.IAC && sequence[2] === OPTIONS.LINEMODE;
+  }
+
+  handle(client, sequence) {
+    if (sequence[1] === COMMANDS.DO) {
+      client.socket.write(
+        Buffer.from([
+          COMMANDS.IAC,
+          COMMANDS.WILL,
+          OPTIONS.LINEMODE,
+          COMMANDS.IAC,
+          COMMANDS.SB,
+          OPTIONS.LINEMODE,
+          LINEMODE.SLC,
+          SLC.IP,
+          SLC.VALUE | SLC.FLUSHOUT,
+          3,
+          SLC.EC,
+          SLC.VALUE,
+          127,
+          SLC.EOF,
+          SLC.DEFAULT,
+          0,
+          COMMANDS.IAC,
+          COMMANDS.SE,
+        ])
+      );
+    } else if (sequence[1] === COMMANDS.SB && sequence[3] === LINEMODE.MODE) {
+      client.socket.write(
+        Buffer.from([
+          COMMANDS.IAC,
+          COMMANDS.SB,
+          OPTIONS.LINEMODE,
+          LINEMODE.MODE,
+          sequence[4] | LINEMODE.MODE_ACK,
+          COMMANDS.IAC,
+          COMMANDS.SE,
+        ])
+      );
+    } else if (
+      sequence[1] === COMMANDS.SB &&
+      sequence[3] === COMMANDS.DO &&
+      sequence[4] === LINEMODE.FORWARDMASK
+    ) {
+      client.socket.write(
+        Buffer.from([
+          COMMANDS.IAC,
+          COMMANDS.SB,
+          OPTIONS.LINEMODE,
+          COMMANDS.WILL,
+          LINEMODE.FORWARDMASK,
+          COMMANDS.IAC,
+          COMMANDS.SE,
+        ])
+      );
+    }
+  }
+}
+
+class SendEnviron {
+  match(sequence) {
+    return sequence[0] === COMMANDS.IAC && sequence[2] === OPTIONS.NEW_ENVIRON;
+  }
+
+  handle(client, sequence) {
+    if (sequence[1] === COMMANDS.DO) {
+      client.socket.write(
+        Buffer.from([COMMANDS.IAC, COMMANDS.WILL, OPTIONS.NEW_ENVIRON])
+      );
+    } else if (sequence[1] === COMMANDS.SB && sequence[3] === COMMANDS.SEND) {
+      this.request = sequence;
+      client.socket.write(
+        environ(COMMANDS.IS, [
+          ENVIRON.VAR,
+          ...Buffer.from("USER"),
+          ENVIRON.VALUE,
+          ...Buffer.from("bob"),
+          ENVIRON.VAR,
+          ...Buffer.from("LANG"),
+          ENVIRON.VALUE,
+          ...Buffer.from("en_US"),
+          ENVIRON.VAR,
+          ...Buffer.from("SYSTEMTYPE"),
+          ENVIRON.USERVAR,
+          ...Buffer.from("CLIENT_NAME"),
+          ENVIRON.VALUE,
+          ...Buffer.from("mud"),
+          ENVIRON.ESC,
+          ENVIRON.VAR,
+        ])
+      );
+    }
+  }
+}
+
+function environ(command, data) {
+  return Buffer.from([
+    COMMANDS.IAC,
+    COMMANDS.SB,
+    OPTIONS.NEW_ENVIRON,
+    command,
+    ...data,
+    COMMANDS.IAC,
+    COMMANDS.SE,
+  ]);
+}
+
+function gmcp(message) {
+  return Buffer.from([
+    COMMANDS.IAC,
+    COMMANDS.SB,
+    OPTIONS.GMCP,
+    ...Buffer.from(message),
+    COMMANDS.IAC,
+    COMMANDS.SE,
+  ]);
+}
+
 class TelnetClient {
   constructor(negotiations) {
     this.socket = new Socket();
@@ -161,12 +487,87 @@ class TelnetClient {
     });
 
     this.negotiations = negotiations || [];
+    this.waiting = [];
+    this.text = "";
+    this.raw = [];
+
+    this.socket.on("data", (data) => {
+      this.raw.push(data);
+    });
+  }
+
+  // inflates everything received after the start of the MCCP2 stream
+  waitForCompressedText(text) {
+    const start = Buffer.from([
+      COMMANDS.IAC,
+      COMMANDS.SB,
+      OPTIONS.MCCP2,
+      COMMANDS.IAC,
+      COMMANDS.SE,
+    ]);
+
+    return new Promise((resolve) => {
+      const check = () => {
+        const raw = Buffer.concat(this.raw);
+        const index = raw.indexOf(start);
+
+        if (index === -1) {
+          return;
+        }
+
+        const inflated = zlib
+          .inflateSync(raw.subarray(index + start.length), {
+            finishFlush: zlib.constants.Z_SYNC_FLUSH,
+          })
+          .toString();
+
+        if (inflated.includes(text)) {
+          this.socket.off("data", check);
+          resolve(inflated);
+        }
+      };
+
+      this.socket.on("data", check);
+      check();
+    });
+  }
+
+  waitForText(text) {
+    return new Promise((resolve) => {
+      const check = () => {
+        if (this.text.includes(text)) {
+          this.socket.off("data", check);
+          resolve(this.text);
+        }
+      };
+
+      this.socket.on("data", check);
+      check();
+    });
+  }
+
+  waitFor(match) {
+    return new Promise((resolve) => {
+      this.waiting.push({ match, resolve });
+    });
   }
 
   handleData(data) {
+    this.text += data.toString("latin1");
+
     const commands = extractTelnetCommands(data);
 
     for (const command of commands) {
+      this.waiting = this.waiting.filter((waiting) => {
+        if (waiting.match(command)) {
+          waiting.resolve(command);
+          return false;
+        }
+
+        return true;
+      });
+
+
       for (const negotiation of this.negotiations) {
         if (negotiation.match(command)) {
           negotiation.handle(this, command);
@@ -191,8 +592,66 @@ const TelnetService = {
     this.listening = new Promise((resolve) => {
       this.emitter.on("listening", resolve);
     });
+    this.resized = new Promise((resolve) => {
+      this.emitter.on("resized", resolve);
+    });
+    this.received = new Promise((resolve) => {
+      this.emitter.on("data", resolve);
+    });
+    this.serverEcho = new Promise((resolve) => {
+      this.emitter.on("serverEcho", resolve);
+    });
+    this.line = new Promise((resolve) => {
+      this.emitter.on("line", resolve);
+    });
+    this.capabilities = new Promise((resolve) => {
+      this.emitter.on("capabilities", resolve);
+    });
+    this.gmcpEnabled = new Promise((resolve) => {
+      this.emitter.on("gmcpEnabled", resolve);
+    });
+    this.gmcp = new Promise((resolve) => {
+      this.emitter.on("gmcp", resolve);
+    });
+    this.negotiation = new Promise((resolve) => {
+      this.emitter.on("negotiation", resolve);
+    });
+    this.negotiated = new Promise((resolve) => {
+      this.emitter.on("negotiated", resolve);
+    });
+    this.latency = new Promise((resolve) => {
+      this.emitter.on("latency", resolve);
+    });
+    this.stale = new Promise((resolve) => {
+      this.emitter.on("stale", resolve);
+    });
+    this.promptMarking = new Promise((resolve) => {
+      this.emitter.on("promptMarking", resolve);
+    });
+    this.command = new Promise((resolve) => {
+      this.emitter.on("command", resolve);
+    });
+    this.lineMode = new Promise((resolve) => {
+      this.emitter.on("lineMode", resolve);
+    });
+    this.slc = new Promise((resolve) => {
+      this.emitter.on("slc", resolve);
+    });
+    this.environ = new Promise((resolve) => {
+      this.emitter.on("environ", resolve);
+    });
+    this.environUpdated = new Promise((resolve) => {
+      this.emitter.on("environUpdated", resolve);
+    });
   },
   actions: {
+    onSocketData: {
+      hooks: {
+        after(ctx) {
+          this.emitter.emit("data", ctx.params.data);
+        },
+      },
+    },
     onServerListening: {
       hooks: {
         after(ctx) {
@@ -221,6 +680,72 @@ const TelnetService = {
       this.negotiations.charset = true;
       this.checkForNegotiations();
     },
+    "telnet.echo.server.enabled"() {
+      this.emitter.emit("serverEcho");
+    },
+    "telnet.ttype.capabilities"(ctx) {
+      this.emitter.emit("capabilities", ctx.params);
+    },
+    "telnet.gmcp.enabled"() {
+      this.emitter.emit("gmcpEnabled");
+    },
+    "telnet.gmcp.Char.Vitals"(ctx) {
+      this.emitter.emit("gmcp", ctx.params);
+    },
+    "telnet.negotiation.**"(ctx) {
+      this.emitter.emit("negotiation", ctx.eventName, ctx.params);
+    },
+    "telnet.negotiations.complete"(ctx) {
+      this.emitter.emit("negotiated", ctx.params);
+    },
+    "telnet.latency"(ctx) {
+      this.emitter.emit("latency", ctx.params);
+    },
+    "telnet.connection.stale"(ctx) {
+      this.emitter.emit("stale", ctx.params);
+    },
+    "telnet.sga.enabled"() {
+      this.emitter.emit("promptMarking");
+    },
+    "telnet.eor.enabled"() {
+      this.emitter.emit("promptMarking");
+    },
+    "telnet.command.*"(ctx) {
+      this.emitter.emit("command", ctx.eventName, ctx.params);
+    },
+    "telnet.linemode.mode"(ctx) {
+      this.emitter.emit("lineMode", ctx.params);
+    },
+    "telnet.linemode.slc"(ctx) {
+      this.emitter.emit("slc", ctx.params);
+    },
+    "telnet.environ.set"(ctx) {
+      this.emitter.emit("environ", ctx.params);
+    },
+    "telnet.environ.updated"(ctx) {
+      this.emitter.emit("environUpdated", ctx.params);
+    },
+    "telnet.line"(ctx) {
+      this.emitter.emit("line", ctx.params);
+    },
+    "telnet.naws.resize"(ctx) {
+      this.emitter.emit("resized", ctx.params);
+    },
+    "telnet.mxp.enabled"() {
+      this.emitter.emit("mxpEnabled");
+    },
+    "telnet.msdp.enabled"() {
+      this.emitter.emit("msdpEnabled");
+    },
+    "telnet.msdp.report"(ctx) {
+      this.emitter.emit("msdpReport", ctx.params);
+    },
+    "telnet.abuse"(ctx) {
+      this.emitter.emit("abuse", ctx.params);
+    },
+    "telnet.handler.error"(ctx) {
+      this.emitter.emit("handlerError", ctx.params);
+    },
   },
   methods: {
     checkForNegotiations() {
@@ -273,27 +798,2119 @@ describe("moleculer-telnet", () => {
         expect(cmds[2]).toEqual([COMMANDS.IAC, COMMANDS.WILL, OPTIONS.TTYPE]);
       });
     });
-  });
-
-  describe("client connection", () => {
-    let client;
-    let broker;
-    let telnetService;
-    let telnetConnection;
-    let connection;
 
-    beforeEach(async () => {
-      broker = new ServiceBroker({
-        logger: "Console",
+    describe("subnegotiation containing command bytes", () => {
+      it("should not terminate on escaped IAC or bare SE bytes", () => {
+        const naws = [
+          COMMANDS.IAC,
+          COMMANDS.SB,
+          OPTIONS.NAWS,
+          COMMANDS.IAC,
+          COMMANDS.IAC,
+          COMMANDS.SE,
+          0,
+          COMMANDS.SB,
+          COMMANDS.IAC,
+          COMMANDS.SE,
+        ];
+
+        const cmds = extractTelnetCommands(Buffer.from(naws));
+
+        expect(cmds.length).toBe(1);
+        expect(cmds[0]).toEqual(naws);
+      });
+    });
+  });
+
+  describe("TelnetStreamParser", () => {
+    let parser;
+
+    beforeEach(() => {
+      parser = new TelnetStreamParser();
+    });
+
+    it("should separate data from commands in any position", () => {
+      const tokens = parser.parse(
+        Buffer.from([
+          ...Buffer.from("ab"),
+          COMMANDS.IAC,
+          COMMANDS.WILL,
+          OPTIONS.TTYPE,
+          ...Buffer.from("cd"),
+        ])
+      );
+
+      expect(tokens).toEqual([
+        { type: "data", data: Buffer.from("ab") },
+        {
+          type: "command",
+          sequence: [COMMANDS.IAC, COMMANDS.WILL, OPTIONS.TTYPE],
+        },
+        { type: "data", data: Buffer.from("cd") },
+      ]);
+    });
+
+    it("should unescape IAC IAC into a literal 255 byte", () => {
+      const tokens = parser.parse(
+        Buffer.from([0x61, COMMANDS.IAC, COMMANDS.IAC, 0x62])
+      );
+
+      expect(tokens).toEqual([
+        { type: "data", data: Buffer.from([0x61, 0xff, 0x62]) },
+      ]);
+    });
+
+    it("should reassemble commands split across chunks", () => {
+      expect(
+        parser.parse(Buffer.from([COMMANDS.IAC, COMMANDS.SB, OPTIONS.TTYPE]))
+      ).toEqual([]);
+      expect(
+        parser.parse(Buffer.from([COMMANDS.IS, ...Buffer.from("xterm")]))
+      ).toEqual([]);
+      expect(parser.parse(Buffer.from([COMMANDS.IAC]))).toEqual([]);
+
+      expect(parser.parse(Buffer.from([COMMANDS.SE, 0x61]))).toEqual([
+        {
+          type: "command",
+          sequence: [
+            COMMANDS.IAC,
+            COMMANDS.SB,
+            OPTIONS.TTYPE,
+            COMMANDS.IS,
+            ...Buffer.from("xterm"),
+            COMMANDS.IAC,
+            COMMANDS.SE,
+          ],
+        },
+        { type: "data", data: Buffer.from("a") },
+      ]);
+    });
+
+    it("should parse two byte commands", () => {
+      expect(parser.parse(Buffer.from([COMMANDS.IAC, COMMANDS.NOP]))).toEqual(
+        [{ type: "command", sequence: [COMMANDS.IAC, COMMANDS.NOP] }]
+      );
+    });
+
+    it("should discard subnegotiations that are too long", () => {
+      parser = new TelnetStreamParser({ maxSubnegotiationLength: 4 });
+
+      const sb = [COMMANDS.IAC, COMMANDS.SB, OPTIONS.GMCP];
+
+      expect(
+        parser.parse(Buffer.from([...sb, ...Buffer.from("abcdef")]))
+      ).toEqual([{ type: "overflow", sequence: sb }]);
+      expect(
+        parser.parse(
+          Buffer.from([
+            ...Buffer.from("gh"),
+            COMMANDS.IAC,
+            COMMANDS.SE,
+            ...Buffer.from("ok"),
+          ])
+        )
+      ).toEqual([{ type: "data", data: Buffer.from("ok") }]);
+    });
+  });
+
+  describe("TelnetOptionNegotiator", () => {
+    let negotiator;
+
+    beforeEach(() => {
+      negotiator = new TelnetOptionNegotiator();
+    });
+
+    it("should suppress duplicate requests", () => {
+      expect(negotiator.requestEnable(OPTIONS.TTYPE, "remote")).toBe(
+        COMMANDS.DO
+      );
+      expect(negotiator.requestEnable(OPTIONS.TTYPE, "remote")).toBe(null);
+      expect(negotiator.getState(OPTIONS.TTYPE).remote).toBe("WANTYES");
+    });
+
+    it("should not reply to an acknowledgement", () => {
+      negotiator.requestEnable(OPTIONS.CHARSET, "local");
+
+      expect(
+        negotiator.receive(COMMANDS.DO, OPTIONS.CHARSET, false)
+      ).toEqual({ reply: null, changed: true, error: null });
+      expect(negotiator.isEnabled(OPTIONS.CHARSET, "local")).toBe(true);
+    });
+
+    it("should ignore a repeated offer", () => {
+      negotiator.receive(COMMANDS.WILL, OPTIONS.NAWS, true);
+
+      expect(negotiator.receive(COMMANDS.WILL, OPTIONS.NAWS, true)).toEqual({
+        reply: null,
+        changed: false,
+        error: null,
+      });
+    });
+
+    it("should refuse an option that is not accepted", () => {
+      expect(negotiator.receive(COMMANDS.WILL, 99, false)).toEqual({
+        reply: COMMANDS.DONT,
+        changed: false,
+        error: null,
+      });
+      expect(negotiator.getState(99).remote).toBe("NO");
+    });
+
+    it("should process a queued request once the pending one is answered", () => {
+      negotiator.requestEnable(OPTIONS.ECHO, "local");
+      negotiator.requestDisable(OPTIONS.ECHO, "local");
+
+      expect(negotiator.getState(OPTIONS.ECHO).localQueue).toBe("OPPOSITE");
+      expect(negotiator.receive(COMMANDS.DO, OPTIONS.ECHO, true)).toEqual({
+        reply: COMMANDS.WONT,
+        changed: false,
+        error: null,
+      });
+      expect(negotiator.getState(OPTIONS.ECHO).local).toBe("WANTNO");
+    });
+  });
+
+  describe("TelnetLineBuffer", () => {
+    let lines;
+
+    beforeEach(() => {
+      lines = new TelnetLineBuffer(8);
+    });
+
+    it("should normalize line endings", () => {
+      expect(lines.push(Buffer.from("a\r\nb\r\0c\nd\r"))).toEqual([
+        Buffer.from("a"),
+        Buffer.from("b"),
+        Buffer.from("c"),
+        Buffer.from("d"),
+      ]);
+    });
+
+    it("should not end a line twice for a CR LF split across packets", () => {
+      expect(lines.push(Buffer.from("a\r"))).toEqual([Buffer.from("a")]);
+      expect(lines.push(Buffer.from("\nb\n"))).toEqual([Buffer.from("b")]);
+    });
+
+    it("should apply backspace and erase commands", () => {
+      lines.push(Buffer.from("abx\x08c\x7fd"));
+      lines.eraseCharacter();
+      lines.push(Buffer.from("é"));
+      lines.eraseCharacter();
+
+      expect(lines.push(Buffer.from("\n"))).toEqual([Buffer.from("ab")]);
+
+      lines.push(Buffer.from("abc"));
+      lines.eraseLine();
+
+      expect(lines.push(Buffer.from("d\n"))).toEqual([Buffer.from("d")]);
+    });
+
+    it("should truncate long lines", () => {
+      expect(lines.push(Buffer.from("0123456789\n"))).toEqual([
+        Buffer.from("01234567"),
+      ]);
+    });
+  });
+
+  describe("text", () => {
+    it("should encode text in the charset", () => {
+      expect(encodeText("café░", "CP437")).toEqual(
+        Buffer.from([0x63, 0x61, 0x66, 0x82, 0xb0])
+      );
+      expect(encodeText("café", "ISO-8859-1")).toEqual(
+        Buffer.from([0x63, 0x61, 0x66, 0xe9])
+      );
+    });
+
+    it("should replace characters the charset can not represent", () => {
+      expect(encodeText("café €", "ascii")).toEqual(Buffer.from("caf? ?"));
+    });
+
+    it("should decode characters split across packets", () => {
+      const decoder = new TelnetTextDecoder("UTF-8");
+      const data = Buffer.from("é€");
+
+      expect(decoder.write(data.subarray(0, 3))).toBe("é");
+      expect(decoder.write(data.subarray(3))).toBe("€");
+    });
+
+    it("should decode CP437", () => {
+      expect(new TelnetTextDecoder("IBM437").write(Buffer.from([0xb0]))).toBe(
+        "░"
+      );
+    });
+  });
+
+  describe("decodeMTTS", () => {
+    it("should decode the MTTS bitvector", () => {
+      expect(decodeMTTS(2825)).toEqual({
+        ansi: true,
+        vt100: false,
+        utf8: false,
+        colors256: true,
+        mouseTracking: false,
+        oscColorPalette: false,
+        screenReader: false,
+        proxy: false,
+        truecolor: true,
+        mnes: true,
+        mslp: false,
+        ssl: true,
+      });
+    });
+  });
+
+  describe("dot notation", () => {
+    const sequence = [
+      COMMANDS.IAC,
+      COMMANDS.SB,
+      OPTIONS.TTYPE,
+      COMMANDS.IS,
+      ...Buffer.from("vt"),
+      COMMANDS.IAC,
+      COMMANDS.SE,
+    ];
+
+    it("should encode a sequence", () => {
+      expect(encodeDotNotation(sequence)).toBe(
+        "IAC.SB.TTYPE.IS.118.116.IAC.SE"
+      );
+      expect(
+        encodeDotNotation([COMMANDS.IAC, COMMANDS.WILL, OPTIONS.NAWS])
+      ).toBe("IAC.WILL.NAWS");
+      expect(encodeDotNotation([COMMANDS.IAC, COMMANDS.WILL, 99])).toBe(
+        "IAC.WILL.99"
+      );
+    });
+
+    it("should decode a sequence", () => {
+      expect(decodeDotNotation("IAC.SB.TTYPE.IS.118.116.IAC.SE")).toEqual(
+        sequence
+      );
+      expect(() => decodeDotNotation("IAC.SB.NOPE")).toThrow();
+      expect(() => decodeDotNotation("IAC.SB.constructor.IAC.SE")).toThrow(
+        "invalid telnet sequence element constructor"
+      );
+      expect(() => decodeDotNotation("IAC.SB.TTYPE.toString")).toThrow();
+      expect(() => decodeDotNotation("__proto__.SB.GMCP")).toThrow();
+    });
+  });
+
+  describe("decodeEnviron", () => {
+    it("should decode the variables", () => {
+      expect(
+        decodeEnviron([
+          ENVIRON.VAR,
+          ...Buffer.from("USER"),
+          ENVIRON.VALUE,
+          ...Buffer.from("bob"),
+          ENVIRON.USERVAR,
+          ...Buffer.from("A"),
+          ENVIRON.ESC,
+          ENVIRON.VALUE,
+          ENVIRON.VALUE,
+          ENVIRON.VAR,
+          ...Buffer.from("DISPLAY"),
+        ])
+      ).toEqual([
+        { type: "var", name: "USER", value: "bob" },
+        { type: "uservar", name: "A\u0001", value: "" },
+        { type: "var", name: "DISPLAY", value: null },
+      ]);
+    });
+  });
+
+  describe("encodeMSSP", () => {
+    it("should encode the variables", () => {
+      expect(
+        encodeMSSP({
+          NAME: "Mud\u0001\u00ff",
+          CODEBASE: ["a", "b"],
+          SSL: false,
+          PORT: null,
+        })
+      ).toEqual([
+        MSSP.VAR,
+        ...Buffer.from("NAME"),
+        MSSP.VAL,
+        ...Buffer.from("Mud\u00ff"),
+        MSSP.VAR,
+        ...Buffer.from("CODEBASE"),
+        MSSP.VAL,
+        ...Buffer.from("a"),
+        MSSP.VAL,
+        ...Buffer.from("b"),
+        MSSP.VAR,
+        ...Buffer.from("SSL"),
+        MSSP.VAL,
+        ...Buffer.from("0"),
+      ]);
+    });
+  });
+
+  describe("renderMarkup", () => {
+    const text = "{red}a{#ff8800}b{bg:#000}{bold}c{reset} {{x} {foo}";
+
+    it("should render truecolor", () => {
+      expect(renderMarkup(text, "truecolor")).toBe(
+        "\x1b[31ma\x1b[38;2;255;136;0mb\x1b[48;2;0;0;0m\x1b[1mc\x1b[0m {x} {foo}"
+      );
+    });
+
+    it("should downgrade to 256 colors", () => {
+      expect(renderMarkup(text, "256")).toBe(
+        "\x1b[31ma\x1b[38;5;208mb\x1b[48;5;16m\x1b[1mc\x1b[0m {x} {foo}"
+      );
+    });
+
+    it("should downgrade to 16 colors", () => {
+      expect(renderMarkup("{bright-blue}a{#ff0000}b{bg:#0000ee}c", "16")).toBe(
+        "\x1b[94ma\x1b[91mb\x1b[44mc"
+      );
+    });
+
+    it("should strip markup and escapes for terminals without colors", () => {
+      expect(renderMarkup(text + "\x1b[31mz", "none")).toBe("abc {x} {foo}z");
+    });
+  });
+
+  describe("detectColorDepth", () => {
+    it("should prefer the MTTS capabilities", () => {
+      expect(detectColorDepth(["XTERM-256COLOR"], 2825)).toBe("truecolor");
+      expect(detectColorDepth(["XTERM"], 1)).toBe("16");
+    });
+
+    it("should detect the depth from the terminal types", () => {
+      expect(detectColorDepth(["XTERM-256COLOR"])).toBe("256");
+      expect(detectColorDepth(["xterm-direct"])).toBe("truecolor");
+      expect(detectColorDepth(["ANSI"])).toBe("16");
+      expect(detectColorDepth(["DUMB"])).toBe("none");
+      expect(detectColorDepth(["MUDLET", "VT100"])).toBe("16");
+      expect(detectColorDepth(["screen-color"])).toBe("16");
+      expect(detectColorDepth(["VT100"])).toBe("none");
+      expect(detectColorDepth(["vt220"])).toBe("none");
+      expect(detectColorDepth(["ANSI-MONO"])).toBe("none");
+      expect(detectColorDepth([])).toBe(null);
+    });
+  });
+
+  describe("mxp markup", () => {
+    it("should encode send elements and menus", () => {
+      expect(encodeMXPSend("sword", "get sword", "Get the sword")).toBe(
+        '<send href="get sword" hint="Get the sword">sword</send>'
+      );
+      expect(
+        encodeMXPSend(
+          "<sword>",
+          ["get sword", "drop sword"],
+          ["Actions", "Get", "Drop"]
+        )
+      ).toBe(
+        '<send href="get sword|drop sword" hint="Actions|Get|Drop">&lt;sword&gt;</send>'
+      );
+    });
+
+    it("should encode links", () => {
+      expect(encodeMXPLink("help", "https://example.com/?a=1&b=2")).toBe(
+        '<a href="https://example.com/?a=1&amp;b=2">help</a>'
+      );
+    });
+
+    it("should strip markup and decode entities", () => {
+      expect(
+        stripMXP(
+          '\x1b[1z<send href="north">north</send> &lt;3 &amp; &#65;&#x42; &foo;'
+        )
+      ).toBe("north <3 & AB &foo;");
+    });
+  });
+
+  describe("msdp codec", () => {
+    const data = [
+      MSDP.VAR,
+      ...Buffer.from("ROOM"),
+      MSDP.VAL,
+      MSDP.TABLE_OPEN,
+      MSDP.VAR,
+      ...Buffer.from("VNUM"),
+      MSDP.VAL,
+      ...Buffer.from("6008"),
+      MSDP.VAR,
+      ...Buffer.from("EXITS"),
+      MSDP.VAL,
+      MSDP.ARRAY_OPEN,
+      MSDP.VAL,
+      ...Buffer.from("n"),
+      MSDP.VAL,
+      ...Buffer.from("e"),
+      MSDP.ARRAY_CLOSE,
+      MSDP.TABLE_CLOSE,
+      MSDP.VAR,
+      ...Buffer.from("HEALTH"),
+      MSDP.VAL,
+      ...Buffer.from("100"),
+    ];
+
+    it("should encode nested tables and arrays", () => {
+      expect(
+        encodeMSDP({
+          ROOM: { VNUM: 6008, EXITS: ["n", "e"] },
+          HEALTH: 100,
+        })
+      ).toEqual(data);
+    });
+
+    it("should decode nested tables and arrays", () => {
+      expect(decodeMSDP(data)).toEqual({
+        ROOM: { VNUM: "6008", EXITS: ["n", "e"] },
+        HEALTH: "100",
+      });
+    });
+
+    it("should decode a variable with several values into an array", () => {
+      expect(
+        decodeMSDP([
+          MSDP.VAR,
+          ...Buffer.from("REPORT"),
+          MSDP.VAL,
+          ...Buffer.from("HEALTH"),
+          MSDP.VAL,
+          ...Buffer.from("MANA"),
+        ])
+      ).toEqual({ REPORT: ["HEALTH", "MANA"] });
+    });
+  });
+
+  describe("TelnetCompressionStream", () => {
+    it("should flush every write", async () => {
+      const deflate = TelnetCompressionStream.deflate();
+      const inflate = TelnetCompressionStream.inflate();
+
+      for (let text of ["hello", "world"]) {
+        const compressed = await deflate.write(Buffer.from(text));
+        const result = await inflate.write(compressed.data);
+
+        expect(result).toEqual({ data: Buffer.from(text), rest: null });
+      }
+
+      expect(deflate.bytesIn).toBe(10);
+      expect(inflate.bytesOut).toBe(10);
+    });
+
+    it("should return the data following the end of the stream", async () => {
+      const inflate = TelnetCompressionStream.inflate();
+
+      const result = await inflate.write(
+        Buffer.concat([zlib.deflateSync("abc"), Buffer.from("plain")])
+      );
+
+      expect(result).toEqual({
+        data: Buffer.from("abc"),
+        rest: Buffer.from("plain"),
+      });
+      expect(inflate.ended).toBe(true);
+    });
+  });
+
+  describe("client connection", () => {
+    let client;
+    let broker;
+    let telnetService;
+    let telnetConnection;
+    let connection;
+
+    beforeEach(async () => {
+      broker = new ServiceBroker({
+        logger: "Console",
         logLevel: "debug",
         transporter: "fake",
       });
 
-      await broker.start();
+      await broker.start();
+    });
+
+    afterEach(async () => {
+      await broker.stop();
+    });
+
+    describe("data", () => {
+      beforeEach(async () => {
+        telnetService = broker.createService({
+          name: "telnet",
+          mixins: [TelnetService],
+        });
+        await telnetService.listening;
+
+        client = new TelnetClient();
+
+        await client.connected;
+        await telnetService.connected;
+      });
+
+      it("should only pass on the data surrounding telnet commands", async () => {
+        client.socket.write(
+          Buffer.from([
+            ...Buffer.from("look"),
+            COMMANDS.IAC,
+            COMMANDS.WONT,
+            OPTIONS.TTYPE,
+            ...Buffer.from("\r\n"),
+          ])
+        );
+
+        expect(await telnetService.received).toEqual(Buffer.from("look\r\n"));
+      });
+    });
+
+    describe("commands", () => {
+      beforeEach(async () => {
+        telnetService = broker.createService({
+          name: "telnet",
+          mixins: [TelnetService],
+        });
+        await telnetService.listening;
+
+        client = new TelnetClient();
+
+        await client.connected;
+        await telnetService.connected;
+      });
+
+      it("should emit the command", async () => {
+        const command = new Promise((resolve) =>
+          telnetService.emitter.once("command", (name, params) =>
+            resolve({ name, params })
+          )
+        );
+
+        client.socket.write(Buffer.from([COMMANDS.IAC, COMMANDS.IP]));
+
+        expect(await command).toEqual({
+          name: "telnet.command.ip",
+          params: { id: Object.keys(telnetService.connections)[0] },
+        });
+      });
+
+      it("should reply to AYT", async () => {
+        client.socket.write(Buffer.from([COMMANDS.IAC, COMMANDS.AYT]));
+
+        expect(await client.waitForText("[Yes]\r\n")).toContain("[Yes]");
+      });
+    });
+
+    describe("prompts", () => {
+      const GA = Buffer.from([COMMANDS.IAC, COMMANDS.GA]);
+      const EOR = Buffer.from([COMMANDS.IAC, COMMANDS.EOR]);
+      let id;
+
+      const createService = async (settings, negotiations) => {
+        telnetService = broker.createService({
+          name: "telnet",
+          mixins: [TelnetService],
+          settings,
+        });
+        await telnetService.listening;
+
+        client = new TelnetClient(negotiations);
+
+        await client.connected;
+        await telnetService.connected;
+
+        id = Object.keys(telnetService.connections)[0];
+      };
+
+      const sendPrompt = async () => {
+        await telnetService.actions.sendPrompt({ id, text: "> " });
+        await telnetService.actions.sendText({ id, text: "done" });
+        await client.waitForText("done");
+
+        return Buffer.concat(client.raw);
+      };
+
+      it("should append GA by default", async () => {
+        await createService({});
+
+        expect(await sendPrompt()).toEqual(
+          Buffer.concat([Buffer.from("> "), GA, Buffer.from("done")])
+        );
+      });
+
+      it("should append EOR if the client agreed to it", async () => {
+        await createService({ sga: true, eor: true }, [
+          new DoOption(OPTIONS.EOR),
+        ]);
+        await telnetService.promptMarking;
+
+        expect(
+          (await sendPrompt()).includes(
+            Buffer.concat([Buffer.from("> "), EOR, Buffer.from("done")])
+          )
+        ).toBe(true);
+      });
+
+      it("should not mark the prompt if go ahead is suppressed", async () => {
+        await createService({ sga: true, eor: true }, [
+          new DoOption(OPTIONS.SUPPRESS_GO_AHEAD),
+        ]);
+        await telnetService.promptMarking;
+
+        expect((await sendPrompt()).includes("> done")).toBe(true);
+        expect(telnetService.connections[id].metadata.sgaEnabled).toBe(true);
+      });
+    });
+
+    describe("keepalive", () => {
+      let id;
+
+      const createService = async (negotiations) => {
+        telnetService = broker.createService({
+          name: "telnet",
+          mixins: [TelnetService],
+          settings: {
+            keepaliveInterval: 100,
+            keepaliveTimeout: 200,
+          },
+        });
+        await telnetService.listening;
+
+        client = new TelnetClient(negotiations);
+
+        await client.connected;
+        await telnetService.connected;
+
+        id = Object.keys(telnetService.connections)[0];
+      };
+
+      it("should measure the round trip time", async () => {
+        await createService([new WillTimingMark()]);
+
+        const latency = await telnetService.latency;
+
+        expect(latency).toEqual({ id, rtt: expect.any(Number) });
+        expect(telnetService.connections[id].metadata.rtt).toBe(latency.rtt);
+      });
+
+      it("should close connections that do not answer", async () => {
+        await createService();
+
+        const closed = new Promise((resolve) =>
+          client.socket.on("close", resolve)
+        );
+
+        expect(await telnetService.stale).toEqual({
+          id,
+          since: expect.any(Number),
+        });
+        await closed;
+      });
+    });
+
+    describe("line buffering", () => {
+      beforeEach(async () => {
+        telnetService = broker.createService({
+          name: "telnet",
+          mixins: [TelnetService],
+          settings: {
+            lineBuffering: true,
+          },
+        });
+        await telnetService.listening;
+
+        client = new TelnetClient();
+
+        await client.connected;
+        await telnetService.connected;
+      });
+
+      it("should emit complete lines", async () => {
+        client.socket.write(
+          Buffer.from([...Buffer.from("say hellp"), COMMANDS.IAC, COMMANDS.EC])
+        );
+        client.socket.write("o\r\n");
+
+        expect(await telnetService.line).toEqual({
+          id: expect.any(String),
+          line: "say hello",
+        });
+      });
+    });
+
+    describe("option negotiation", () => {
+      beforeEach(async () => {
+        telnetService = broker.createService({
+          name: "telnet",
+          mixins: [TelnetService],
+        });
+        await telnetService.listening;
+
+        client = new TelnetClient();
+
+        await client.connected;
+        await telnetService.connected;
+      });
+
+      it("should refuse options it does not support", async () => {
+        const reply = client.waitFor((sequence) => sequence[2] === 99);
+
+        client.socket.write(Buffer.from([COMMANDS.IAC, COMMANDS.WILL, 99]));
+
+        expect(await reply).toEqual([COMMANDS.IAC, COMMANDS.DONT, 99]);
+      });
+    });
+
+    describe("broadcasting negotiations", () => {
+      beforeEach(async () => {
+        telnetService = broker.createService({
+          name: "telnet",
+          mixins: [TelnetService],
+          settings: {
+            broadcastTelnetNegotiations: true,
+          },
+        });
+        await telnetService.listening;
+
+        client = new TelnetClient();
+
+        await client.connected;
+        await telnetService.connected;
+      });
+
+      it("should broadcast the sequences the client sends", async () => {
+        const negotiation = new Promise((resolve) =>
+          telnetService.emitter.once("negotiation", (name, params) =>
+            resolve({ name, params })
+          )
+        );
+
+        client.socket.write(gmcp("Core.Hello {}"));
+
+        const { name, params } = await negotiation;
+
+        expect(name).toBe("telnet.negotiation.IAC.SB.GMCP");
+        expect(params.id).toBe(Object.keys(telnetService.connections)[0]);
+        expect(params.data).toEqual([...gmcp("Core.Hello {}")]);
+        expect(
+          await telnetService.actions.extractSubData({ data: params.sequence })
+        ).toBe("Core.Hello {}");
+      });
+
+      it("should extract the data of known options", async () => {
+        expect(
+          await telnetService.actions.extractSubData({
+            data: "IAC.SB.TTYPE.IS.118.116.IAC.SE",
+          })
+        ).toBe("vt");
+      });
+
+      it("should reject unknown encodings", async () => {
+        await expect(
+          telnetService.actions.extractSubData({
+            data: "IAC.SB.TTYPE.IS.118.116.IAC.SE",
+            encoding: "klingon",
+          })
+        ).rejects.toMatchObject({ code: 422, type: "VALIDATION_ERROR" });
+      });
+    });
+
+    describe("option policy", () => {
+      beforeEach(async () => {
+        telnetService = broker.createService({
+          name: "telnet",
+          mixins: [TelnetService],
+          settings: {
+            telnetOptions: {
+              NAWS: { remote: "request" },
+              ECHO: { local: "allow", remote: "refuse" },
+              GMCP: { local: "request" },
+            },
+          },
+        });
+        await telnetService.listening;
+      });
+
+      it("should request the options set to request", async () => {
+        client = new TelnetClient();
+
+        const naws = client.waitFor((sequence) => sequence[2] === OPTIONS.NAWS);
+        const gmcp = client.waitFor((sequence) => sequence[2] === OPTIONS.GMCP);
+
+        expect(await naws).toEqual([COMMANDS.IAC, COMMANDS.DO, OPTIONS.NAWS]);
+        expect(await gmcp).toEqual([COMMANDS.IAC, COMMANDS.WILL, OPTIONS.GMCP]);
+      });
+
+      it("should accept allowed options and refuse the others", async () => {
+        client = new TelnetClient();
+
+        await client.connected;
+        await telnetService.connected;
+
+        const replies = [
+          client.waitFor(
+            (sequence) =>
+              sequence[1] === COMMANDS.WILL && sequence[2] === OPTIONS.ECHO
+          ),
+          client.waitFor(
+            (sequence) =>
+              sequence[1] === COMMANDS.DONT && sequence[2] === OPTIONS.ECHO
+          ),
+        ];
+
+        client.socket.write(
+          Buffer.from([
+            COMMANDS.IAC,
+            COMMANDS.DO,
+            OPTIONS.ECHO,
+            COMMANDS.IAC,
+            COMMANDS.WILL,
+            OPTIONS.ECHO,
+          ])
+        );
+
+        expect(await Promise.all(replies)).toEqual([
+          [COMMANDS.IAC, COMMANDS.WILL, OPTIONS.ECHO],
+          [COMMANDS.IAC, COMMANDS.DONT, OPTIONS.ECHO],
+        ]);
+      });
+    });
+
+    describe("command queue", () => {
+      const SLOW = 230;
+      const FAILING = 231;
+      const STALLED = 232;
+      let handled;
+
+      const subnegotiation = (option) => [
+        COMMANDS.IAC,
+        COMMANDS.SB,
+        option,
+        COMMANDS.IAC,
+        COMMANDS.SE,
+      ];
+
+      class RecordingHandler extends TelnetOptionHandler {
+        match(sequence) {
+          return sequence[1] === COMMANDS.SB && sequence[2] >= SLOW;
+        }
+
+        async handle(id, service, sequence) {
+          if (sequence[2] === SLOW) {
+            await new Promise((resolve) => setTimeout(resolve, 100));
+          } else if (sequence[2] === FAILING) {
+            throw new Error("handler failed");
+          } else if (sequence[2] === STALLED) {
+            await new Promise(() => {});
+          }
+
+          handled.push(sequence[2]);
+        }
+      }
+
+      beforeEach(async () => {
+        handled = [];
+
+        telnetService = broker.createService({
+          name: "telnet",
+          mixins: [TelnetService],
+          settings: { handlerTimeout: 200 },
+          telnetOptionHandlers: [RecordingHandler],
+        });
+        await telnetService.listening;
+
+        client = new TelnetClient();
+
+        await client.connected;
+        await telnetService.connected;
+      });
+
+      it("should handle the sequences of a connection in order", async () => {
+        client.socket.write(
+          Buffer.from([...subnegotiation(SLOW), ...subnegotiation(233)])
+        );
+        client.socket.write(Buffer.from(subnegotiation(234)));
+
+        await new Promise((resolve) => setTimeout(resolve, 300));
+
+        expect(handled).toEqual([SLOW, 233, 234]);
+      });
+
+      it("should emit the errors of a handler and continue", async () => {
+        const error = new Promise((resolve) =>
+          telnetService.emitter.once("handlerError", resolve)
+        );
+
+        client.socket.write(
+          Buffer.from([...subnegotiation(FAILING), ...subnegotiation(233)])
+        );
+
+        expect(await error).toMatchObject({
+          id: Object.keys(telnetService.connections)[0],
+          sequence: "IAC.SB.231.IAC.SE",
+          error: { message: "handler failed" },
+        });
+
+        await new Promise((resolve) => setTimeout(resolve, 50));
+
+        expect(handled).toEqual([233]);
+      });
+
+      it("should give up on a stalled handler", async () => {
+        const error = new Promise((resolve) =>
+          telnetService.emitter.once("handlerError", resolve)
+        );
+
+        client.socket.write(
+          Buffer.from([...subnegotiation(STALLED), ...subnegotiation(233)])
+        );
+
+        expect((await error).error).toEqual({
+          message: "telnet handler timed out after 200ms",
+          code: 504,
+          type: "ERR_HANDLER_TIMEOUT",
+        });
+
+        await new Promise((resolve) => setTimeout(resolve, 50));
+
+        expect(handled).toEqual([233]);
+      });
+    });
+
+    describe("markup", () => {
+      const createService = async (negotiations) => {
+        telnetService = broker.createService({
+          name: "telnet",
+          mixins: [TelnetService],
+          settings: { ttype: true },
+        });
+        await telnetService.listening;
+
+        client = new TelnetClient(negotiations);
+        await client.connected;
+        await telnetService.connected;
+      };
+
+      const sendMarkup = (text) =>
+        telnetService.actions.sendMarkup({
+          id: Object.keys(telnetService.connections)[0],
+          text,
+        });
+
+      it("should render the colors the terminal supports", async () => {
+        await createService([
+          new DoTTYPE(),
+          new CycleTTYPE(["MUDLET", "XTERM-256COLOR", "MTTS 2825"]),
+        ]);
+        await telnetService.capabilities;
+
+        const received = client.waitForText("hi");
+        await sendMarkup("{#ff8800}hi");
+
+        expect(await received).toContain("\x1b[38;2;255;136;0mhi");
+      });
+
+      it("should strip the markup for dumb terminals", async () => {
+        await createService([new DoTTYPE(), new CycleTTYPE(["DUMB"])]);
+        await telnetService.capabilities;
+
+        const received = client.waitForText("hi");
+        await sendMarkup("{red}{bold}hi{reset}");
+
+        expect(await received).not.toContain("\x1b");
+      });
+
+      it("should use the default color depth without a terminal type", async () => {
+        await createService([new WontTTYPE()]);
+
+        const received = client.waitForText("hi");
+        await sendMarkup("{#ff0000}hi");
+
+        expect(await received).toContain("\x1b[91mhi");
+      });
+    });
+
+    describe("mxp", () => {
+      const text = "Exits: " + encodeMXPSend("north", "north") + "\r\n";
+
+      beforeEach(async () => {
+        telnetService = broker.createService({
+          name: "telnet",
+          mixins: [TelnetService],
+          settings: { mxp: true },
+        });
+        await telnetService.listening;
+      });
+
+      it("should send markup in secure mode to MXP clients", async () => {
+        const enabled = new Promise((resolve) =>
+          telnetService.emitter.once("mxpEnabled", resolve)
+        );
+        client = new TelnetClient([new DoOption(OPTIONS.MXP)]);
+        await enabled;
+
+        const received = client.waitForText("</send>");
+
+        expect(
+          await telnetService.actions.sendMxp({
+            id: Object.keys(telnetService.connections)[0],
+            text,
+          })
+        ).toBe(true);
+        expect(await received).toContain("\x1b[1z" + text);
+      });
+
+      it("should strip markup for other clients", async () => {
+        client = new TelnetClient();
+        await client.connected;
+        await telnetService.connected;
+
+        const received = client.waitForText("Exits: north\r\n");
+
+        expect(
+          await telnetService.actions.sendMxp({
+            id: Object.keys(telnetService.connections)[0],
+            text,
+          })
+        ).toBe(false);
+        expect(await received).not.toContain("<send");
+      });
+    });
+
+    describe("msdp", () => {
+      let id;
+
+      const sendMsdp = (variables) =>
+        client.socket.write(
+          Buffer.from([
+            COMMANDS.IAC,
+            COMMANDS.SB,
+            OPTIONS.MSDP,
+            ...encodeMSDP(variables),
+            COMMANDS.IAC,
+            COMMANDS.SE,
+          ])
+        );
+
+      const waitForMsdp = (variables) =>
+        client.waitFor(
+          (sequence) =>
+            sequence[1] === COMMANDS.SB &&
+            sequence[2] === OPTIONS.MSDP &&
+            Buffer.from(sequence).equals(
+              Buffer.from([
+                COMMANDS.IAC,
+                COMMANDS.SB,
+                OPTIONS.MSDP,
+                ...encodeMSDP(variables),
+                COMMANDS.IAC,
+                COMMANDS.SE,
+              ])
+            )
+        );
+
+      beforeEach(async () => {
+        telnetService = broker.createService({
+          name: "telnet",
+          mixins: [TelnetService],
+          settings: {
+            msdp: true,
+            msdpVariables: {
+              HEALTH: { value: 100 },
+              ROOM: { reportable: false },
+            },
+          },
+        });
+        await telnetService.listening;
+
+        const enabled = new Promise((resolve) =>
+          telnetService.emitter.once("msdpEnabled", resolve)
+        );
+
+        client = new TelnetClient([new DoOption(OPTIONS.MSDP)]);
+
+        await enabled;
+        id = Object.keys(telnetService.connections)[0];
+      });
+
+      it("should list the commands and variables", async () => {
+        const reply = waitForMsdp({
+          COMMANDS: ["LIST", "REPORT", "RESET", "SEND", "UNREPORT"],
+          REPORTABLE_VARIABLES: ["HEALTH"],
+          SENDABLE_VARIABLES: ["HEALTH", "ROOM"],
+        });
+
+        sendMsdp({
+          LIST: ["COMMANDS", "REPORTABLE_VARIABLES", "SENDABLE_VARIABLES"],
+        });
+
+        await reply;
+      });
+
+      it("should push reported variables to the connections that reported them", async () => {
+        const reported = new Promise((resolve) =>
+          telnetService.emitter.once("msdpReport", resolve)
+        );
+        const current = waitForMsdp({ HEALTH: 100 });
+
+        sendMsdp({ REPORT: "HEALTH" });
+
+        expect(await reported).toEqual({ id, variables: ["HEALTH"] });
+        await current;
+
+        const update = waitForMsdp({ HEALTH: 90 });
+
+        expect(
+          await telnetService.actions.reportMsdpVariable({
+            name: "HEALTH",
+            value: 90,
+          })
+        ).toBe(1);
+        await update;
+
+        sendMsdp({ UNREPORT: "HEALTH" });
+
+        // SEND is answered after the UNREPORT before it was handled
+        await new Promise((resolve) => {
+          waitForMsdp({ HEALTH: 90 }).then(resolve);
+          sendMsdp({ SEND: "HEALTH" });
+        });
+
+        expect(
+          await telnetService.actions.reportMsdpVariable({
+            name: "HEALTH",
+            value: 80,
+          })
+        ).toBe(0);
+      });
+
+      it("should reject variables that are not reportable", async () => {
+        await expect(
+          telnetService.actions.reportMsdpVariable({ name: "ROOM", value: 1 })
+        ).rejects.toMatchObject({ type: "ERR_INVALID_MSDP_VARIABLE" });
+      });
+    });
+
+    describe("mssp", () => {
+      const createService = async (msspStatus) => {
+        telnetService = broker.createService({
+          name: "telnet",
+          mixins: [TelnetService],
+          settings: {
+            mssp: { NAME: "Test MUD", CODEBASE: "moleculer", PLAYERS: 0 },
+            msspAction: "telnet.msspStatus",
+          },
+          actions: { msspStatus },
+        });
+        await telnetService.listening;
+      };
+
+      const waitForMssp = () =>
+        client.waitFor(
+          (sequence) =>
+            sequence[1] === COMMANDS.SB && sequence[2] === OPTIONS.MSSP
+        );
+
+      it("should send the variables of the settings and the action", async () => {
+        await createService((ctx) => ({
+          PLAYERS: 3,
+          UPTIME: ctx.params.id ? 1700000000 : 0,
+        }));
+
+        client = new TelnetClient([new DoOption(OPTIONS.MSSP)]);
+
+        expect(await waitForMssp()).toEqual([
+          COMMANDS.IAC,
+          COMMANDS.SB,
+          OPTIONS.MSSP,
+          ...encodeMSSP({
+            NAME: "Test MUD",
+            CODEBASE: "moleculer",
+            PLAYERS: 3,
+            UPTIME: 1700000000,
+          }),
+          COMMANDS.IAC,
+          COMMANDS.SE,
+        ]);
+      });
+
+      it("should send the variables of the settings if the action fails", async () => {
+        await createService(() => {
+          throw new Error("unavailable");
+        });
+
+        client = new TelnetClient([new DoOption(OPTIONS.MSSP)]);
+
+        expect(await waitForMssp()).toEqual([
+          COMMANDS.IAC,
+          COMMANDS.SB,
+          OPTIONS.MSSP,
+          ...encodeMSSP({
+            NAME: "Test MUD",
+            CODEBASE: "moleculer",
+            PLAYERS: 0,
+          }),
+          COMMANDS.IAC,
+          COMMANDS.SE,
+        ]);
+      });
+    });
+
+    describe("abuse limits", () => {
+      let closed;
+
+      const createService = async (settings) => {
+        telnetService = broker.createService({
+          name: "telnet",
+          mixins: [TelnetService],
+          settings,
+        });
+        await telnetService.listening;
+
+        client = new TelnetClient();
+        closed = new Promise((resolve) => client.socket.on("close", resolve));
+
+        await client.connected;
+        await telnetService.connected;
+      };
+
+      const abuse = () =>
+        new Promise((resolve) => telnetService.emitter.once("abuse", resolve));
+
+      it("should drop subnegotiations that are too long", async () => {
+        await createService({ maxSubnegotiationLength: 8 });
+
+        const reported = abuse();
+
+        client.socket.write(
+          Buffer.from([
+            COMMANDS.IAC,
+            COMMANDS.SB,
+            OPTIONS.GMCP,
+            ...Buffer.from("Core.Hello {}"),
+            COMMANDS.IAC,
+            COMMANDS.SE,
+          ])
+        );
+
+        expect(await reported).toEqual({
+          id: Object.keys(telnetService.connections)[0],
+          rule: "subnegotiationLength",
+          limit: 8,
+          action: "drop",
+        });
+      });
+
+      it("should disconnect clients that renegotiate too often", async () => {
+        await createService({
+          maxRenegotiations: 2,
+          abuseActions: { renegotiation: "disconnect" },
+        });
+
+        const reported = abuse();
+
+        for (let i = 0; i < 3; i++) {
+          client.socket.write(Buffer.from([COMMANDS.IAC, COMMANDS.WILL, 230]));
+        }
+
+        expect(await reported).toMatchObject({
+          rule: "renegotiation",
+          limit: 2,
+          action: "disconnect",
+        });
+
+        await closed;
+      });
+
+      it("should throttle input beyond the input rate", async () => {
+        await createService({ maxInputRate: 10, lineBuffering: true });
+
+        const reported = abuse();
+        const line = new Promise((resolve) =>
+          telnetService.emitter.once("line", resolve)
+        );
+        const start = Date.now();
+
+        client.socket.write("0123456789abcde\r\n");
+
+        expect(await reported).toMatchObject({
+          rule: "inputRate",
+          limit: 10,
+          action: "throttle",
+        });
+        expect((await line).line).toBe("0123456789abcde");
+        expect(Date.now() - start).toBeGreaterThanOrEqual(600);
+      });
+
+      it("should drop input beyond the input rate", async () => {
+        await createService({
+          maxInputRate: 10,
+          lineBuffering: true,
+          abuseActions: { inputRate: "drop" },
+        });
+
+        const reported = abuse();
+        const lines = [];
+        telnetService.emitter.on("line", (params) => lines.push(params.line));
+
+        client.socket.write("0123456789abcde\r\n");
+        await reported;
+
+        client.socket.write("ok\r\n");
+        await new Promise((resolve) => setTimeout(resolve, 100));
+
+        expect(lines).toEqual(["ok"]);
+      });
+
+      it("should report lines that are too long", async () => {
+        await createService({ lineBuffering: true, maxLineLength: 4 });
+
+        const reported = abuse();
+        const line = new Promise((resolve) =>
+          telnetService.emitter.once("line", resolve)
+        );
+
+        client.socket.write("abcdefg\r\n");
+
+        expect(await reported).toMatchObject({
+          rule: "lineLength",
+          limit: 4,
+          action: "drop",
+        });
+        expect((await line).line).toBe("abcd");
+      });
+
+      it("should keep the order of the input behind throttled input", async () => {
+        await createService({
+          maxRenegotiations: 1,
+          lineBuffering: true,
+          abuseActions: { renegotiation: "throttle" },
+        });
+
+        const lines = [];
+        telnetService.emitter.on("line", (params) => lines.push(params.line));
+        const second = new Promise((resolve) =>
+          telnetService.emitter.on(
+            "line",
+            (params) => params.line === "second" && resolve()
+          )
+        );
+
+        client.socket.write(Buffer.from([COMMANDS.IAC, COMMANDS.WILL, 230]));
+        await new Promise((resolve) => setTimeout(resolve, 100));
+
+        // move the clock to the end of the minute, so the throttled negotiation only waits a moment
+        const now = Date.now;
+        const skew = 59700;
+        const spy = jest
+          .spyOn(Date, "now")
+          .mockImplementation(() => now() + skew);
+
+        try {
+          const reported = abuse();
+          client.socket.write(
+            Buffer.from([
+              COMMANDS.IAC,
+              COMMANDS.WILL,
+              230,
+              ...Buffer.from("hel"),
+            ])
+          );
+          await reported;
+          client.socket.write("lo\r\nsecond\r\n");
+          await second;
+        } finally {
+          spy.mockRestore();
+        }
+
+        expect(lines).toEqual(["hello", "second"]);
+      });
+
+      it("should forget connections that close while throttled", async () => {
+        await createService({ maxInputRate: 10 });
+
+        const id = Object.keys(telnetService.connections)[0];
+
+        client.socket.write("0123456789abcde\r\n");
+        await abuse();
+        client.socket.end();
+        await closed;
+        await new Promise((resolve) => setTimeout(resolve, 700));
+
+        expect(telnetService.telnetConnectionState[id]).toBeUndefined();
+      });
+
+      it("should not bring back the state of closed connections", async () => {
+        await createService({});
+
+        const id = Object.keys(telnetService.connections)[0];
+
+        client.socket.end();
+        await closed;
+        await new Promise((resolve) => setTimeout(resolve, 100));
+
+        await expect(
+          telnetService.actions.sendText({ id, text: "bye" })
+        ).rejects.toMatchObject({ code: 404, type: "ERR_UNKNOWN_CONNECTION" });
+        expect(telnetService.telnetConnectionState).toEqual({});
+      });
+
+      it("should cut off lines that are too long without line buffering", async () => {
+        await createService({ maxLineLength: 4 });
+
+        const reported = abuse();
+        const data = new Promise((resolve) =>
+          telnetService.emitter.once("data", resolve)
+        );
+
+        client.socket.write("abcdefg\r\n");
+
+        expect(await reported).toMatchObject({
+          rule: "lineLength",
+          limit: 4,
+          action: "drop",
+        });
+        expect((await data).toString()).toBe("abcd\r\n");
+      });
+    });
+
+    describe("option handlers", () => {
+      class BusyAYTHandler extends TelnetOptionHandler {
+        match(sequence) {
+          return sequence[0] === COMMANDS.IAC && sequence[1] === COMMANDS.AYT;
+        }
+
+        async handle(id, service, sequence) {
+          await service.actions.sendText({ id, text: "[Busy]\r\n" });
+
+          return TelnetOptionHandler.CONSUMED;
+        }
+      }
+
+      // the server answers a DO TIMING-MARK after handling everything that was sent before it
+      const roundTrip = () => {
+        const reply = client.waitFor(
+          (sequence) => sequence[2] === OPTIONS.TIMING_MARK
+        );
+        client.socket.write(
+          Buffer.from([COMMANDS.IAC, COMMANDS.DO, OPTIONS.TIMING_MARK])
+        );
+        return reply;
+      };
+
+      beforeEach(async () => {
+        telnetService = broker.createService({
+          name: "telnet",
+          mixins: [TelnetService],
+          telnetOptionHandlers: [{ handler: BusyAYTHandler, priority: 10 }],
+        });
+        await telnetService.listening;
+
+        client = new TelnetClient();
+
+        await client.connected;
+        await telnetService.connected;
+      });
+
+      it("should register the handlers declared in the schema and its mixins", () => {
+        expect(telnetService.optionHandlers.BusyAYTHandler.priority).toBe(10);
+        expect(telnetService.optionHandlers.AYTCommandHandler.priority).toBe(0);
+      });
+
+      it("should reject handlers that are not a TelnetOptionHandler", async () => {
+        await expect(
+          telnetService.actions.registerTelnetOptionHandler({
+            handler: class NotAHandler {},
+          })
+        ).rejects.toMatchObject({ code: 500, type: "ERR_INVALID_HANDLER" });
+      });
+
+      it("should stop at a handler that consumed the sequence", async () => {
+        client.socket.write(Buffer.from([COMMANDS.IAC, COMMANDS.AYT]));
+
+        await client.waitForText("[Busy]\r\n");
+        await roundTrip();
+
+        expect(client.text).not.toContain("[Yes]");
+      });
+
+      it("should unregister a handler", async () => {
+        expect(
+          await telnetService.actions.unregisterTelnetOptionHandler({
+            handler: "BusyAYTHandler",
+          })
+        ).toBe(true);
+        expect(
+          await telnetService.actions.unregisterTelnetOptionHandler({
+            handler: BusyAYTHandler,
+          })
+        ).toBe(false);
+
+        client.socket.write(Buffer.from([COMMANDS.IAC, COMMANDS.AYT]));
+
+        await client.waitForText("[Yes]\r\n");
+        await roundTrip();
+
+        expect(client.text).not.toContain("[Busy]");
+      });
     });
 
-    afterEach(async () => {
-      await broker.stop();
+    describe("negotiations complete", () => {
+      const createService = async (negotiations) => {
+        telnetService = broker.createService({
+          name: "telnet",
+          mixins: [TelnetService],
+          settings: {
+            ttype: true,
+            charset: "UTF-8",
+            negotiationTimeout: 500,
+          },
+        });
+        await telnetService.listening;
+
+        client = new TelnetClient(negotiations);
+
+        await client.connected;
+        await telnetService.connected;
+      };
+
+      it("should wait for the client to answer", async () => {
+        await createService([
+          new DoTTYPE(),
+          new SendTTYPE(),
+          new WillCharset(),
+          new AcceptLastCharset(),
+        ]);
+
+        const summary = await telnetService.negotiated;
+
+        expect(summary).toMatchObject({
+          timedOut: false,
+          pending: [],
+          ttype: "test",
+          charset: "UTF-8",
+          width: 80,
+          height: 24,
+        });
+        expect(summary.options.TTYPE).toEqual({ local: false, remote: true });
+        expect(summary.options.CHARSET).toEqual({ local: true, remote: false });
+      });
+
+      it("should give up after the timeout", async () => {
+        await createService([new DoTTYPE()]);
+
+        expect(await telnetService.negotiated).toMatchObject({
+          timedOut: true,
+          pending: ["TTYPE", "CHARSET"],
+          ttype: "generic",
+          charset: "ascii",
+        });
+      });
+    });
+
+    describe("password mode", () => {
+      let id;
+
+      beforeEach(async () => {
+        telnetService = broker.createService({
+          name: "telnet",
+          mixins: [TelnetService],
+        });
+        await telnetService.listening;
+
+        client = new TelnetClient([new DoEcho()]);
+
+        await client.connected;
+        await telnetService.connected;
+
+        id = Object.keys(telnetService.connections)[0];
+        telnetConnection = telnetService.connections[id];
+
+        await telnetService.actions.enablePasswordMode({ id, mask: "*" });
+        await telnetService.serverEcho;
+      });
+
+      it("should record that the server echoes", async () => {
+        expect(telnetConnection.metadata.passwordMode).toBe(true);
+        expect(telnetConnection.metadata.serverEcho).toBe(true);
+      });
+
+      it("should echo the mask instead of the input", async () => {
+        client.socket.write("secret");
+
+        expect(await client.waitForText("******")).not.toContain("secret");
+      });
+
+      it("should give echoing back to the client when disabled", async () => {
+        const reply = client.waitFor(
+          (sequence) =>
+            sequence[1] === COMMANDS.WONT && sequence[2] === OPTIONS.ECHO
+        );
+
+        await telnetService.actions.disablePasswordMode({ id });
+
+        expect(await reply).toEqual([
+          COMMANDS.IAC,
+          COMMANDS.WONT,
+          OPTIONS.ECHO,
+        ]);
+        expect(telnetConnection.metadata.passwordMode).toBe(false);
+      });
+    });
+
+    describe("character mode", () => {
+      beforeEach(async () => {
+        telnetService = broker.createService({
+          name: "telnet",
+          mixins: [TelnetService],
+          settings: {
+            telnetOptions: { ECHO: { local: "allow" } },
+          },
+        });
+        await telnetService.listening;
+
+        client = new TelnetClient();
+
+        await client.connected;
+        await telnetService.connected;
+
+        client.socket.write(
+          Buffer.from([COMMANDS.IAC, COMMANDS.DO, OPTIONS.ECHO])
+        );
+        await telnetService.serverEcho;
+      });
+
+      it("should echo the input as typed", async () => {
+        client.socket.write("look\r\n");
+
+        expect(await client.waitForText("look\r\n")).not.toContain(
+          "look\r\n\r\n"
+        );
+      });
+    });
+
+    describe("gmcp", () => {
+      let id;
+
+      beforeEach(async () => {
+        telnetService = broker.createService({
+          name: "telnet",
+          mixins: [TelnetService],
+          settings: {
+            gmcp: true,
+          },
+        });
+        await telnetService.listening;
+
+        client = new TelnetClient([new DoGMCP()]);
+
+        await client.connected;
+        await telnetService.connected;
+        await telnetService.gmcpEnabled;
+
+        id = Object.keys(telnetService.connections)[0];
+        telnetConnection = telnetService.connections[id];
+
+        client.socket.write(gmcp('Core.Supports.Set ["Char 1"]'));
+        client.socket.write(gmcp('Char.Vitals {"hp":10}'));
+      });
+
+      it("should emit the messages the client sends", async () => {
+        expect(await telnetService.gmcp).toEqual({
+          id,
+          package: "Char.Vitals",
+          data: { hp: 10 },
+        });
+      });
+
+      it("should ignore messages with invalid package names", async () => {
+        await telnetService.gmcp;
+
+        const emit = jest.spyOn(telnetService.broker, "emit");
+        const message = new Promise((resolve) =>
+          telnetService.emitter.once("gmcp", resolve)
+        );
+
+        client.socket.write(gmcp('Char.* {"hp":1}'));
+        client.socket.write(gmcp('Char.Vitals {"hp":5}'));
+
+        try {
+          expect(await message).toMatchObject({ data: { hp: 5 } });
+          expect(emit).not.toHaveBeenCalledWith(
+            "telnet.gmcp.Char.*",
+            expect.anything()
+          );
+        } finally {
+          emit.mockRestore();
+        }
+      });
+
+      it("should track the packages the client supports", async () => {
+        await telnetService.gmcp;
+
+        expect(telnetConnection.metadata.gmcpSupports).toEqual({ char: 1 });
+      });
+
+      it("should only send supported packages", async () => {
+        await telnetService.gmcp;
+
+        expect(
+          await telnetService.actions.sendGmcp({
+            id,
+            package: "Room.Info",
+            data: { num: 1 },
+          })
+        ).toBe(false);
+
+        const message = client.waitFor(
+          (sequence) => sequence[2] === OPTIONS.GMCP
+        );
+
+        expect(
+          await telnetService.actions.sendGmcp({
+            id,
+            package: "Char.Vitals",
+            data: { hp: 5 },
+          })
+        ).toBe(true);
+        expect(await message).toEqual([...gmcp('Char.Vitals {"hp":5}')]);
+      });
+    });
+
+    describe("linemode", () => {
+      let id;
+      let slcReply;
+
+      beforeEach(async () => {
+        telnetService = broker.createService({
+          name: "telnet",
+          mixins: [TelnetService],
+          settings: {
+            linemode: true,
+          },
+        });
+        await telnetService.listening;
+
+        client = new TelnetClient([new Linemode()]);
+        slcReply = client.waitFor(
+          (sequence) =>
+            sequence[1] === COMMANDS.SB &&
+            sequence[2] === OPTIONS.LINEMODE &&
+            sequence[3] === LINEMODE.SLC
+        );
+
+        await client.connected;
+        await telnetService.connected;
+        await telnetService.lineMode;
+        await telnetService.slc;
+
+        id = Object.keys(telnetService.connections)[0];
+        telnetConnection = telnetService.connections[id];
+      });
+
+      it("should hand line editing to the client", async () => {
+        expect(telnetConnection.metadata.linemodeEnabled).toBe(true);
+        expect(telnetConnection.metadata.linemode).toEqual({
+          edit: true,
+          trapsig: false,
+          softTab: false,
+          litEcho: false,
+        });
+      });
+
+      it("should agree to the client's special characters", async () => {
+        expect(await slcReply).toEqual([
+          COMMANDS.IAC,
+          COMMANDS.SB,
+          OPTIONS.LINEMODE,
+          LINEMODE.SLC,
+          SLC.IP,
+          SLC.VALUE | SLC.FLUSHOUT | SLC.ACK,
+          3,
+          SLC.EC,
+          SLC.VALUE | SLC.ACK,
+          127,
+          SLC.EOF,
+          SLC.VALUE,
+          4,
+          COMMANDS.IAC,
+          COMMANDS.SE,
+        ]);
+        expect(telnetConnection.metadata.slc).toEqual({
+          ip: { level: "value", value: 3, flushIn: false, flushOut: true },
+          ec: { level: "value", value: 127, flushIn: false, flushOut: false },
+          eof: { level: "value", value: 4, flushIn: false, flushOut: false },
+        });
+      });
+
+      it("should switch to character at a time mode", async () => {
+        const mode = new Promise((resolve) =>
+          telnetService.emitter.once("lineMode", resolve)
+        );
+        const forwardMask = client.waitFor(
+          (sequence) =>
+            sequence[1] === COMMANDS.SB &&
+            sequence[3] === COMMANDS.DO &&
+            sequence[4] === LINEMODE.FORWARDMASK
+        );
+
+        expect(
+          await telnetService.actions.setLineMode({
+            id,
+            edit: false,
+            trapsig: true,
+            forwardMask: [13, 255],
+          })
+        ).toBe(true);
+
+        expect(await mode).toEqual({
+          id,
+          edit: false,
+          trapsig: true,
+          softTab: false,
+          litEcho: false,
+        });
+        expect((await forwardMask).slice(5, -2)).toEqual([
+          0,
+          0x04,
+          ...Array(29).fill(0),
+          0x01,
+        ]);
+      });
+
+      it("should acknowledge a mode the client picked", async () => {
+        const mode = new Promise((resolve) =>
+          telnetService.emitter.once("lineMode", resolve)
+        );
+        const ack = client.waitFor(
+          (sequence) =>
+            sequence[1] === COMMANDS.SB && sequence[3] === LINEMODE.MODE
+        );
+
+        client.socket.write(
+          Buffer.from([
+            COMMANDS.IAC,
+            COMMANDS.SB,
+            OPTIONS.LINEMODE,
+            LINEMODE.MODE,
+            LINEMODE.EDIT | LINEMODE.SOFT_TAB,
+            COMMANDS.IAC,
+            COMMANDS.SE,
+          ])
+        );
+
+        expect(await ack).toEqual([
+          COMMANDS.IAC,
+          COMMANDS.SB,
+          OPTIONS.LINEMODE,
+          LINEMODE.MODE,
+          LINEMODE.EDIT | LINEMODE.SOFT_TAB | LINEMODE.MODE_ACK,
+          COMMANDS.IAC,
+          COMMANDS.SE,
+        ]);
+        expect(await mode).toEqual({
+          id,
+          edit: true,
+          trapsig: false,
+          softTab: true,
+          litEcho: false,
+        });
+      });
+    });
+
+    describe("environ", () => {
+      let id;
+      let variables;
+      let sendEnviron;
+
+      beforeEach(async () => {
+        telnetService = broker.createService({
+          name: "telnet",
+          mixins: [TelnetService],
+          settings: {
+            environ: ["USER", "LANG", "SYSTEMTYPE"],
+          },
+        });
+        await telnetService.listening;
+
+        sendEnviron = new SendEnviron();
+        client = new TelnetClient([sendEnviron]);
+
+        await client.connected;
+        await telnetService.connected;
+        variables = await telnetService.environ;
+
+        id = Object.keys(telnetService.connections)[0];
+        telnetConnection = telnetService.connections[id];
+      });
+
+      it("should request the configured variables", async () => {
+        expect(Buffer.from(sendEnviron.request)).toEqual(
+          environ(COMMANDS.SEND, [
+            ENVIRON.VAR,
+            ...Buffer.from("USER"),
+            ENVIRON.VAR,
+            ...Buffer.from("LANG"),
+            ENVIRON.VAR,
+            ...Buffer.from("SYSTEMTYPE"),
+            ENVIRON.USERVAR,
+          ])
+        );
+      });
+
+      it("should store the variables", async () => {
+        expect(variables.environ).toEqual({ USER: "bob", LANG: "en_US" });
+        expect(telnetConnection.metadata.environEnabled).toBe(true);
+        expect(telnetConnection.metadata.environ).toEqual({
+          USER: "bob",
+          LANG: "en_US",
+        });
+        expect(telnetConnection.metadata.environUser).toEqual({
+          CLIENT_NAME: "mud\u0000",
+        });
+      });
+
+      it("should emit changes", async () => {
+        client.socket.write(
+          environ(COMMANDS.INFO, [
+            ENVIRON.VAR,
+            ...Buffer.from("LANG"),
+            ENVIRON.VALUE,
+            ...Buffer.from("de_DE"),
+          ])
+        );
+
+        expect(await telnetService.environUpdated).toEqual({
+          id,
+          environ: { USER: "bob", LANG: "de_DE" },
+          environUser: { CLIENT_NAME: "mud\u0000" },
+          changed: { LANG: "de_DE" },
+        });
+      });
+    });
+
+    describe("mccp", () => {
+      let id;
+
+      beforeEach(async () => {
+        telnetService = broker.createService({
+          name: "telnet",
+          mixins: [TelnetService],
+          settings: {
+            mccp2: true,
+            mccp3: true,
+          },
+        });
+        await telnetService.listening;
+
+        client = new TelnetClient([new DoMCCP()]);
+
+        await client.connected;
+        await telnetService.connected;
+        await client.waitFor(
+          (sequence) =>
+            sequence[1] === COMMANDS.SB && sequence[2] === OPTIONS.MCCP2
+        );
+
+        id = Object.keys(telnetService.connections)[0];
+        telnetConnection = telnetService.connections[id];
+      });
+
+      it("should compress output", async () => {
+        await telnetService.actions.sendText({ id, text: "hello" });
+
+        expect(await client.waitForCompressedText("hello")).toBe("hello");
+        expect(telnetConnection.metadata.mccp2).toEqual({
+          active: true,
+          uncompressed: 5,
+          compressed: expect.any(Number),
+        });
+      });
+
+      it("should decompress input", async () => {
+        const deflate = zlib.createDeflate();
+
+        deflate.write("look\r\n");
+        deflate.flush(zlib.constants.Z_SYNC_FLUSH, () => {
+          client.socket.write(
+            Buffer.concat([
+              Buffer.from([
+                COMMANDS.IAC,
+                COMMANDS.SB,
+                OPTIONS.MCCP3,
+                COMMANDS.IAC,
+                COMMANDS.SE,
+              ]),
+              deflate.read(),
+            ])
+          );
+        });
+
+        expect(await telnetService.received).toEqual(Buffer.from("look\r\n"));
+        expect(telnetConnection.metadata.mccp3.active).toBe(true);
+      });
+    });
+
+    describe("naws", () => {
+      describe("client supports", () => {
+        let size;
+
+        beforeEach(async () => {
+          telnetService = broker.createService({
+            name: "telnet",
+            mixins: [TelnetService],
+            settings: {
+              naws: true,
+            },
+          });
+          await telnetService.listening;
+
+          client = new TelnetClient([new WillNAWS(255, 40)]);
+
+          await telnetService.connected;
+          await client.connected;
+          size = await telnetService.resized;
+
+          telnetConnection = Object.values(telnetService.connections)[0];
+        });
+
+        it("should store the window size", async () => {
+          expect(telnetConnection.metadata.nawsEnabled).toBe(true);
+          expect(telnetConnection.metadata.width).toBe(255);
+          expect(telnetConnection.metadata.height).toBe(40);
+        });
+
+        it("should emit the resize event", async () => {
+          expect(size).toEqual({
+            id: expect.any(String),
+            width: 255,
+            height: 40,
+          });
+        });
+      });
+
+      describe("connection default metadata", () => {
+        beforeEach(async () => {
+          telnetService = broker.createService({
+            name: "telnet",
+            mixins: [TelnetService],
+            settings: {
+              naws: true,
+            },
+          });
+          await telnetService.listening;
+
+          client = new TelnetClient();
+
+          await client.connected;
+          await telnetService.connected;
+
+          telnetConnection = Object.values(telnetService.connections)[0];
+        });
+
+        it("should default to an 80x24 window", async () => {
+          expect(telnetConnection.metadata.nawsEnabled).toBe(false);
+          expect(telnetConnection.metadata.width).toBe(80);
+          expect(telnetConnection.metadata.height).toBe(24);
+        });
+      });
     });
 
     describe("ttype", () => {
@@ -325,6 +2942,48 @@ describe("moleculer-telnet", () => {
           });
         });
 
+        describe("client cycles terminal types", () => {
+          let capabilities;
+
+          beforeEach(async () => {
+            telnetService = broker.createService({
+              name: "telnet",
+              mixins: [TelnetService],
+              settings: {
+                ttype: true,
+              },
+            });
+            await telnetService.listening;
+
+            client = new TelnetClient([
+              new DoTTYPE(),
+              new CycleTTYPE(["MUDLET", "XTERM-256COLOR", "MTTS 2825"]),
+            ]);
+
+            await telnetService.connected;
+            await client.connected;
+            capabilities = await telnetService.capabilities;
+
+            telnetConnection = Object.values(telnetService.connections)[0];
+          });
+
+          it("should record the cycled terminal types", async () => {
+            expect(telnetConnection.metadata.ttypes).toEqual([
+              "MUDLET",
+              "XTERM-256COLOR",
+              "MTTS 2825",
+            ]);
+            expect(telnetConnection.metadata.client).toBe("MUDLET");
+            expect(telnetConnection.metadata.ttype).toBe("XTERM-256COLOR");
+            expect(telnetConnection.metadata.mtts).toBe(2825);
+          });
+
+          it("should announce the capabilities", async () => {
+            expect(capabilities.capabilities).toEqual(decodeMTTS(2825));
+            expect(telnetConnection.metadata.capabilities.truecolor).toBe(true);
+          });
+        });
+
         describe("client does not support", () => {
           beforeEach(async () => {
             telnetService = broker.createService({
@@ -393,8 +3052,8 @@ describe("moleculer-telnet", () => {
 
             client = new TelnetClient([new DontTTYPE(), new SendTTYPE()]);
 
+            // ttype is not enabled, so there is no DONT to send and nothing to wait for
             await telnetService.connected;
-            await telnetService.negotiationsComplete;
             await client.connected;
 
             telnetConnection = Object.values(telnetService.connections)[0];
@@ -438,6 +3097,131 @@ describe("moleculer-telnet", () => {
 
               expect(charset).toBe("UTF-8");
             });
+
+            it("should not decode with unsupported charsets", async () => {
+              await telnetService.actions.setMetadata({
+                id: telnetConnection.id,
+                key: "charset",
+                value: "KOI8-R",
+              });
+
+              const state =
+                telnetService.telnetConnectionState[telnetConnection.id];
+
+              expect(state.charset).toBe("UTF-8");
+              expect(state.decoder.encoding).toBe("utf8");
+            });
+          });
+
+          describe("multiple charsets", () => {
+            beforeEach(async () => {
+              telnetService = broker.createService({
+                name: "telnet",
+                mixins: [TelnetService],
+                settings: {
+                  charset: ["UTF-8", "ISO-8859-1"],
+                },
+              });
+              await telnetService.listening;
+
+              client = new TelnetClient([
+                new WillCharset(),
+                new AcceptLastCharset(),
+              ]);
+
+              await telnetService.connected;
+              await telnetService.negotiationsComplete;
+              await client.connected;
+
+              telnetConnection = Object.values(telnetService.connections)[0];
+            });
+
+            it("should store the charset the client accepted", async () => {
+              expect(telnetConnection.metadata.charset).toBe("ISO-8859-1");
+            });
+          });
+
+          describe("client request", () => {
+            beforeEach(async () => {
+              telnetService = broker.createService({
+                name: "telnet",
+                mixins: [TelnetService],
+                settings: {
+                  charset: ["UTF-8", "ISO-8859-1"],
+                },
+              });
+              await telnetService.listening;
+
+              client = new TelnetClient();
+
+              await telnetService.connected;
+              await client.connected;
+
+              telnetConnection = Object.values(telnetService.connections)[0];
+            });
+
+            it("should accept the preferred charset the client requested", async () => {
+              const reply = client.waitFor(
+                (sequence) =>
+                  sequence[1] === COMMANDS.SB && sequence[2] === OPTIONS.CHARSET
+              );
+
+              client.socket.write(
+                Buffer.from([
+                  COMMANDS.IAC,
+                  COMMANDS.SB,
+                  OPTIONS.CHARSET,
+                  COMMANDS.REQUEST,
+                  ...Buffer.from(";KOI8-R;iso-8859-1"),
+                  COMMANDS.IAC,
+                  COMMANDS.SE,
+                ])
+              );
+
+              expect(await reply).toEqual([
+                COMMANDS.IAC,
+                COMMANDS.SB,
+                OPTIONS.CHARSET,
+                COMMANDS.ACCEPTED,
+                ...Buffer.from("iso-8859-1"),
+                COMMANDS.IAC,
+                COMMANDS.SE,
+              ]);
+
+              await telnetService.negotiationsComplete;
+
+              expect(telnetConnection.metadata.charset).toBe("iso-8859-1");
+            });
+          });
+
+          describe("sending text", () => {
+            beforeEach(async () => {
+              telnetService = broker.createService({
+                name: "telnet",
+                mixins: [TelnetService],
+                settings: {
+                  charset: "ISO-8859-1",
+                },
+              });
+              await telnetService.listening;
+
+              client = new TelnetClient([
+                new WillCharset(),
+                new RequestCharset(),
+              ]);
+
+              await telnetService.connected;
+              await telnetService.negotiationsComplete;
+              await client.connected;
+            });
+
+            it("should encode the text in the negotiated charset", async () => {
+              const id = Object.keys(telnetService.connections)[0];
+
+              await telnetService.actions.sendText({ id, text: "café ÿ" });
+
+              expect(await client.waitForText("café ÿÿ")).toContain("café ÿÿ");
+            });
           });
 
           describe("client does not support", () => {